@@ -1,58 +1,192 @@
-// College Basketball GM — MVP (Netlify-ready, single-file)
-// Saves to LocalStorage. Supports:
+// College Basketball GM — MVP (Netlify-ready)
+// UI, data loaders and storage; the simulation lives in engine.js.
+// Saves to IndexedDB. Supports:
 // - CSV loader (data/teams.csv)
 // - One-click Division I Wikipedia loader with conference-average ratings
 // - Static CSV Mode toggle
 // - Export Teams CSV (snapshot of current universe)
+// - Multi-season dynasty mode with a per-season history archive
+// - Generated player rosters that drive team strength
+// - Possession-based game engine with box scores and a game detail view
+// - Opponent-adjusted efficiency ratings (AdjO/AdjD/AdjT) and SOS
+// - NET-style ranking, Quad 1-4 team sheets and bubble watch for selection
+// - 68-team national bracket with regions, First Four and S-curve seeding
+// - Day-by-day season calendar with sim-to-date controls
+// - Monte Carlo season and tournament projections in a Web Worker
+// - Headless engine usable from Node, with a command-line runner (cli.js)
+// - Deterministic per-phase RNG streams saved with the universe, plus a replay check
+// - Versioned save format with schema validation and migrations for old saves
+// - Named save slots in IndexedDB (the old LocalStorage save moves to "Main")
+// - Undo, named snapshots and a rewindable timeline built on the replay log
+// - Per-conference tournament formats (field size, byes, home court), simmed
+//   round by round or all at once
+// - League editor for teams and conferences, with realignment between seasons
+// - Non-conference scheduler with exact game counts, tiered opponents,
+//   home/away balance and 4- and 8-team early-season events
+// - NIT (with auto bids for regular-season champions) and an optional CBI
+// - Team pages with game log, splits, postseason runs and head-to-head history
+// - Weekly Top 25 poll from a panel of simulated voters, with ranks shown in
+//   the schedule and brackets
+// - Live play-by-play viewer with game clock, win probability and speed controls
+// - Recruiting classes with star ratings and home regions, a recruiting board,
+//   commitment timeline and class rankings; signed classes join next season's rosters
+// - Offseason transfer portal: entrants, destinations and each program's net gain or loss
+// - Head coaches with tactics, development, recruiting and tempo, contracts, a hot seat
+//   and an offseason coaching carousel; coaches view with careers and tournament history
+// - GM mode: run one program with its own non-conference slate and playing style, a
+//   dashboard with goals and bracket outlook, and the program highlighted across views
+// - Program finances: gate, media and NCAA unit revenue against staff, facilities and
+//   NIL spending, with multi-season ledgers and a conference revenue table
+
+// Pre-IndexedDB saves lived in this one localStorage key; see
+// migrateLegacySave().
+const LEGACY_STORAGE_KEY = "cbbgm_save_v1";
+const CURRENT_SLOT_KEY = "cbbgm_current_slot";
+
+// ---------- Storage ----------
+// Save slots live in IndexedDB. `slots` holds each slot's name, timestamps and
+// summary; `saves` holds the serialized universe, so listing slots never has
+// to read a whole universe.
+const DB_NAME = "cbbgm";
+const DB_VERSION = 1;
+let dbPromise = null;
+let currentSlotId = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore("slots", { keyPath: "id" });
+        db.createObjectStore("saves", { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
 
-const STORAGE_KEY = "cbbgm_save_v1";
-
-// ---------- Small utilities ----------
-function rng(seed) {
-  // Mulberry32 deterministic RNG
-  let t = seed >>> 0;
-  return function () {
-    t += 0x6d2b79f5;
-    let r = Math.imul(t ^ (t >>> 15), 1 | t);
-    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
-    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
-  };
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
 }
 
-function hashString(str) {
-  let h = 2166136261;
-  for (let i = 0; i < str.length; i++) {
-    h ^= str.charCodeAt(i);
-    h += (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24);
-  }
-  return h >>> 0;
+function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
 }
 
-function pick(arr, rnd) {
-  return arr[Math.floor(rnd() * arr.length)];
+// Most recently played first.
+async function listSlots() {
+  const db = await openDB();
+  const slots = await idbRequest(db.transaction("slots").objectStore("slots").getAll());
+  return slots.sort((a, b) => b.lastPlayed - a.lastPlayed);
 }
 
-function shuffle(arr, rnd) {
-  const a = arr.slice();
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(rnd() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
+async function getSlot(id) {
+  const db = await openDB();
+  return idbRequest(db.transaction("slots").objectStore("slots").get(id));
+}
+
+async function readSlotData(id) {
+  const db = await openDB();
+  const rec = await idbRequest(db.transaction("saves").objectStore("saves").get(id));
+  return rec ? rec.data : null;
+}
+
+// Writes a slot's metadata and, when `data` is given, its save together.
+async function putSlot(slot, data) {
+  const db = await openDB();
+  const tx = db.transaction(["slots", "saves"], "readwrite");
+  tx.objectStore("slots").put(slot);
+  if (data != null) tx.objectStore("saves").put({ id: slot.id, data });
+  return idbDone(tx);
+}
+
+async function removeSlot(id) {
+  const db = await openDB();
+  const tx = db.transaction(["slots", "saves"], "readwrite");
+  tx.objectStore("slots").delete(id);
+  tx.objectStore("saves").delete(id);
+  return idbDone(tx);
+}
+
+function slotSummary(u) {
+  const champ = nationalChampion(u);
+  return {
+    year: u.year,
+    phase: seasonPhase(u),
+    champion: champ != null ? teamById(u, champ).name : null,
+  };
+}
+
+async function createSlot(name, data, summary) {
+  const now = Date.now();
+  const slot = {
+    id: `slot-${now.toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+    name,
+    created: now,
+    lastPlayed: now,
+    summary,
+  };
+  await putSlot(slot, data);
+  return slot;
 }
 
+function setCurrentSlot(id) {
+  currentSlotId = id;
+  localStorage.setItem(CURRENT_SLOT_KEY, id);
+}
+
+// Saves are coalesced: every saveState() in the same tick turns into one
+// write of the latest universe to the slot that was current when it was called.
+let pendingSave = null;
+let saveChain = Promise.resolve();
+
 function saveState(state) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  if (!currentSlotId) return saveChain;
+  const queued = pendingSave != null;
+  pendingSave = { state, slotId: currentSlotId };
+  if (!queued) saveChain = saveChain.then(flushSave);
+  return saveChain;
+}
+
+async function flushSave() {
+  const { state, slotId } = pendingSave;
+  pendingSave = null;
+  try {
+    const slot = await getSlot(slotId);
+    if (!slot) return; // deleted meanwhile
+    slot.lastPlayed = Date.now();
+    slot.summary = slotSummary(state);
+    await putSlot(slot, serializeSave(state));
+  } catch (err) {
+    console.error(err);
+    alert(`Couldn't save your universe: ${err.message}`);
+  }
 }
 
-function loadState() {
-  const raw = localStorage.getItem(STORAGE_KEY);
-  if (!raw) return null;
+// One-time move of the single localStorage save into a "Main" slot. The text
+// is stored as-is; loadSave() upgrades it when the slot is opened.
+async function migrateLegacySave() {
+  const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!raw) return;
+  let summary = null;
   try {
-    return JSON.parse(raw);
-  } catch {
-    return null;
+    summary = slotSummary(loadSave(raw));
+  } catch (err) {
+    console.error(err);
   }
+  const slot = await createSlot("Main", raw, summary);
+  if (!localStorage.getItem(CURRENT_SLOT_KEY)) setCurrentSlot(slot.id);
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
 }
 
 // ---------- Division I Auto-Loader (Wikipedia) ----------
@@ -100,7 +234,61 @@ const CONF_AVG_RATING = {
   "AAC": 79,
 };
 
-async function fetchWikipediaDI() {
+// Recruiting home region by state (see HOME_REGIONS); unlisted states fall
+// back to the engine's default
+const STATE_REGIONS = {
+  "Northeast": [
+    "Connecticut",
+    "Maine",
+    "Massachusetts",
+    "New Hampshire",
+    "New Jersey",
+    "New York",
+    "Pennsylvania",
+    "Rhode Island",
+    "Vermont",
+  ],
+  "Mid-Atlantic": [
+    "Delaware",
+    "District of Columbia",
+    "Maryland",
+    "North Carolina",
+    "Virginia",
+    "West Virginia",
+  ],
+  "Southeast": [
+    "Alabama",
+    "Florida",
+    "Georgia",
+    "Kentucky",
+    "Mississippi",
+    "South Carolina",
+    "Tennessee",
+  ],
+  "Midwest": [
+    "Illinois",
+    "Indiana",
+    "Iowa",
+    "Kansas",
+    "Michigan",
+    "Minnesota",
+    "Missouri",
+    "Nebraska",
+    "North Dakota",
+    "Ohio",
+    "South Dakota",
+    "Wisconsin",
+  ],
+  "South Central": ["Arkansas", "Louisiana", "Oklahoma", "Texas"],
+  "Mountain": ["Arizona", "Colorado", "Idaho", "Montana", "Nevada", "New Mexico", "Utah", "Wyoming"],
+  "West Coast": ["Alaska", "California", "Hawaii", "Oregon", "Washington"],
+};
+
+function regionOfState(state) {
+  return Object.keys(STATE_REGIONS).find((r) => STATE_REGIONS[r].includes(state.trim()));
+}
+
+async function fetchWikipediaDI(seedStr) {
   // MediaWiki API (CORS-friendly)
   const url =
     "https://en.wikipedia.org/w/api.php?action=parse&page=List_of_NCAA_Division_I_men%27s_basketball_programs&prop=text&formatversion=2&format=json&origin=*";
@@ -134,7 +322,7 @@ async function fetchWikipediaDI() {
       const teamStr = obj["team"] || obj["school"] || cells[0] || "";
       const confStr = obj["conference"] || cells[cells.length - 1] || "";
       if (!teamStr || !confStr) continue;
-      rows.push({ team: teamStr, conference: confStr });
+      rows.push({ team: teamStr, conference: confStr, state: obj["state"] || "" });
     }
   });
 
@@ -181,31 +369,43 @@ async function fetchWikipediaDI() {
     }
 
     const key = school + "~~" + nickname + "~~" + conf;
-    if (!unique.has(key)) unique.set(key, { school, nickname, conf });
+    if (!unique.has(key)) {
+      unique.set(key, { school, nickname, conf, region: regionOfState(r.state) });
+    }
   }
 
   const list = Array.from(unique.values());
   if (list.length < 320) console.warn("Low team count parsed:", list.length);
 
-  // Apply conference-average ratings + small jitter
+  // Apply conference-average ratings + small jitter, seeded so the same seed
+  // and page give the same ratings
+  const rnd = rng(hashString(`${seedStr}|wiki`));
   const out = list.map((t, idx) => {
     const base = CONF_AVG_RATING[t.conf] ?? 74;
-    const jitter = Math.round((Math.random() - 0.5) * 8); // -4..+4
+    const jitter = Math.round((rnd() - 0.5) * 8); // -4..+4
     const rating = Math.max(30, Math.min(95, base + jitter));
-    return { id: idx, school: t.school, nickname: t.nickname, conf: t.conf, rating };
+    return {
+      id: idx,
+      school: t.school,
+      nickname: t.nickname,
+      conf: t.conf,
+      rating,
+      region: t.region,
+    };
   });
 
   return out;
 }
 
 async function loadFromWikipediaAndStart() {
-  const rows = await fetchWikipediaDI();
   const seedInput = document.getElementById("seedInput");
-  U = new Universe(rows, seedInput.value || "wiki-2025");
+  const seed = seedInput.value || "wiki-2025";
+  const rows = await fetchWikipediaDI(seed);
+  U = new Universe(rows, seed, programFromInput(rows));
   saveState(U);
   renderAll();
   alert(
-    `Loaded ${rows.length} Division I teams from Wikipedia. You can tweak ratings later in code or export a static CSV.`
+    `Loaded ${rows.length} Division I teams from Wikipedia. Edit teams and conferences under League, or export a static CSV.`
   );
 }
 
@@ -218,352 +418,33 @@ async function loadTeamsCSV() {
   return parseCSV(text);
 }
 
-function parseCSV(text) {
-  const lines = text.replace(/\r/g, "").split("\n").filter(Boolean);
-  const header = lines[0].split(",").map((s) => s.trim());
-  const idx = {
-    School: header.indexOf("School"),
-    Nickname: header.indexOf("Nickname"),
-    Conference: header.indexOf("Conference"),
-    Rating: header.indexOf("Rating"),
-  };
-  const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const parts = splitCSVLine(lines[i]);
-    if (parts.length < 4) continue;
-    rows.push({
-      school: parts[idx.School]?.trim(),
-      nickname: parts[idx.Nickname]?.trim(),
-      conf: parts[idx.Conference]?.trim(),
-      rating: Number(parts[idx.Rating]) || 50,
-      id: i - 1,
-    });
-  }
-  return rows.filter((r) => r.school && r.conf);
-}
-
-function splitCSVLine(line) {
-  // naive CSV split supporting basic quoted values
-  const out = [];
-  let cur = "";
-  let q = false;
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      if (q && line[i + 1] === '"') {
-        cur += '"';
-        i++;
-      } else {
-        q = !q;
-      }
-    } else if (ch === "," && !q) {
-      out.push(cur);
-      cur = "";
-    } else {
-      cur += ch;
-    }
-  }
-  out.push(cur);
-  return out;
-}
-
-// ---------- Core sim types ----------
-class Team {
-  constructor(row) {
-    this.id = row.id;
-    this.school = row.school;
-    this.nickname = row.nickname;
-    this.conf = row.conf;
-    this.rating = row.rating; // 30..90 suggested
-    this.w = 0;
-    this.l = 0;
-    this.cw = 0;
-    this.cl = 0;
-    this.sos = 0; // strength of schedule
-    this.rs = 0; // resume (wins vs good teams)
-    this.seedNote = "";
-  }
-  get name() {
-    return `${this.school} ${this.nickname}`.trim();
-  }
-}
-
-class Game {
-  constructor(homeId, awayId, conf, week, neutral = false) {
-    this.homeId = homeId;
-    this.awayId = awayId;
-    this.conf = conf;
-    this.week = week;
-    this.neutral = neutral;
-    this.played = false;
-    this.homeScore = 0;
-    this.awayScore = 0;
-  }
-}
-
-class Universe {
-  constructor(teams, seedStr = "") {
-    this.teams = teams.map((t) => new Team(t));
-    this.year = 2025;
-    this.week = 1;
-    this.games = [];
-    this.confTournaments = {}; // conf -> array of Games[]
-    this.bracket = null;
-    const s = seedStr ? hashString(seedStr) : Date.now();
-    this.rnd = rng(s);
-  }
-}
-
-// ---------- Schedule & Sim ----------
-function groupByConference(teams) {
-  const by = {};
-  for (const t of teams) {
-    if (!by[t.conf]) by[t.conf] = [];
-    by[t.conf].push(t);
-  }
-  return by;
-}
-
-function eloWinProb(rA, rB, homeAdv = 1.5) {
-  const diff = rA + homeAdv - rB;
-  return 1 / (1 + Math.exp(-diff / 6));
-}
-
-function simScore(base = 70, variance = 12, rnd) {
-  const g = (rnd() + rnd() + rnd()) / 3; // ~normal-ish
-  return Math.max(40, Math.round(base + (g - 0.5) * 2 * variance));
-}
-
-function simulateGame(u, g) {
-  if (g.played) return;
-  const home = u.teams.find((t) => t.id === g.homeId);
-  const away = u.teams.find((t) => t.id === g.awayId);
-  const homeAdv = g.neutral ? 0 : 2.5;
-  const pHome = eloWinProb(home.rating, away.rating, homeAdv);
-  let homeScore = simScore(71, 11, u.rnd);
-  let awayScore = simScore(71, 11, u.rnd);
-
-  const margin = Math.floor((pHome - 0.5) * 12);
-  homeScore += margin;
-  awayScore -= margin;
-
-  if (homeScore === awayScore) {
-    if (u.rnd() < 0.5) homeScore += 1;
-    else awayScore += 1;
-  }
-
-  g.played = true;
-  g.homeScore = homeScore;
-  g.awayScore = awayScore;
-
-  const homeWon = homeScore > awayScore;
-  if (homeWon) {
-    home.w++;
-    away.l++;
-    if (g.conf) {
-      home.cw++;
-      away.cl++;
-    }
-    home.rs += away.rating >= 75 ? 1 : 0;
-  } else {
-    away.w++;
-    home.l++;
-    if (g.conf) {
-      away.cw++;
-      home.cl++;
-    }
-    away.rs += home.rating >= 75 ? 1 : 0;
-  }
-  home.sos += away.rating * 0.02;
-  away.sos += home.rating * 0.02;
-}
-
-function generateSchedule(u, mode = "single", nonConf = 8) {
-  u.games = [];
-  u.week = 1;
-  const confGroups = groupByConference(u.teams); // fixed name
-  let week = 1;
-
-  // conference round robin(s)
-  for (const conf of Object.keys(confGroups)) {
-    const teams = confGroups[conf].slice();
-    let list = teams.map((t) => t.id);
-    if (list.length % 2 === 1) list.push(null); // bye
-    const rounds = mode === "double" ? (list.length - 1) * 2 : list.length - 1;
-
-    for (let r = 0; r < rounds; r++) {
-      const pairs = [];
-      for (let i = 0; i < list.length / 2; i++) {
-        const a = list[i],
-          b = list[list.length - 1 - i];
-        if (a != null && b != null) {
-          const homeFirst = r % 2 === 0;
-          pairs.push(new Game(homeFirst ? a : b, homeFirst ? b : a, conf, week));
-        }
-      }
-      u.games.push(...pairs);
-      // rotate
-      const fixed = list[0];
-      const rotated = [fixed, ...list.slice(2), list[1]];
-      list = rotated;
-      week++;
-    }
-  }
-
-  // non-conference
-  const allIds = u.teams.map((t) => t.id);
-  const confMap = {};
-  for (const t of u.teams) confMap[t.id] = t.conf;
-
-  for (const team of u.teams) {
-    let added = 0,
-      tries = 0;
-    while (added < nonConf && tries < nonConf * 20) {
-      tries++;
-      const oppId = pick(allIds, u.rnd);
-      if (oppId === team.id) continue;
-      if (confMap[oppId] === team.conf) continue; // avoid same conf
-
-      const dup = u.games.some(
-        (g) =>
-          (g.homeId === team.id && g.awayId === oppId) ||
-          (g.homeId === oppId && g.awayId === team.id)
-      );
-      if (dup) continue;
-
-      const h = hashString(`${team.id}-${oppId}-${u.year}-${added}`);
-      const home = h % 2 === 0 ? team.id : oppId;
-      const away = home === team.id ? oppId : team.id;
-      u.games.push(new Game(home, away, null, week));
-      added++;
-      week++;
-    }
-  }
-}
-
-function simRegularSeason(u) {
-  const seasonGames = u.games.filter((g) => !g.played);
-  for (const g of seasonGames) simulateGame(u, g);
-}
-
-function standingsForConf(u, conf) {
-  const teams = u.teams.filter((t) => t.conf === conf);
-  return teams.slice().sort((a, b) => {
-    if (b.cw - b.cl !== a.cw - a.cl) {
-      return b.cw - b.cl - (a.cw - a.cl);
-    }
-    if (b.w - b.l !== a.w - a.l) {
-      return b.w - b.l - (a.w - a.l);
-    }
-    return b.rating + b.sos - (a.rating + a.sos);
-  });
-}
-
-function buildConfTournaments(u) {
-  u.confTournaments = {};
-  const by = groupByConference(u.teams);
-  for (const conf of Object.keys(by)) {
-    const seeds = standingsForConf(u, conf).map((t) => t.id);
-    const rounds = [];
-    let roundTeams = seeds;
-    while (roundTeams.length > 1) {
-      const games = [];
-      for (let i = 0; i < Math.floor(roundTeams.length / 2); i++) {
-        const a = roundTeams[i];
-        const b = roundTeams[roundTeams.length - 1 - i];
-        games.push(new Game(a, b, conf, 0, true));
-      }
-      rounds.push(games);
-      roundTeams = games.map((g) => {
-        simulateGame(u, g);
-        return g.homeScore > g.awayScore ? g.homeId : g.awayId;
-      });
-    }
-    u.confTournaments[conf] = rounds;
-  }
-}
-
-function rateTeamForSelection(t) {
-  return t.rating * 0.6 + t.sos * 0.3 + t.rs * 4 + (t.w - t.l) * 0.5;
-}
-
-function buildNationalBracket(u) {
-  const by = groupByConference(u.teams);
-  const autoBidIds = new Set();
-  for (const conf of Object.keys(by)) {
-    const rounds = u.confTournaments[conf];
-    if (!rounds || rounds.length === 0) continue;
-    const lastRound = rounds[rounds.length - 1];
-    const champGame = lastRound[lastRound.length - 1];
-    const champId =
-      champGame.homeScore > champGame.awayScore
-        ? champGame.homeId
-        : champGame.awayId;
-    autoBidIds.add(champId);
-  }
-
-  const ranked = u.teams
-    .slice()
-    .sort((a, b) => rateTeamForSelection(b) - rateTeamForSelection(a));
-  const N = u.teams.length;
-  const size = N >= 64 ? 64 : N >= 32 ? 32 : N >= 16 ? 16 : 8;
-
-  const selected = [];
-  for (const id of autoBidIds) {
-    if (selected.length < size) selected.push(u.teams.find((t) => t.id === id));
-  }
-  for (const t of ranked) {
-    if (selected.length >= size) break;
-    if (!autoBidIds.has(t.id)) selected.push(t);
-  }
-
-  const seeded = selected
-    .slice()
-    .sort((a, b) => rateTeamForSelection(b) - rateTeamForSelection(a));
-  for (let i = 0; i < seeded.length; i++) {
-    seeded[i].seedNote = `Seed ${i + 1}`;
-  }
-
-  const rounds = [];
-  let roundTeams = seeded.map((t) => t.id);
-  rounds.push(pairRound(roundTeams));
-  u.bracket = { rounds };
-}
-
-function pairRound(ids) {
-  const games = [];
-  for (let i = 0; i < Math.floor(ids.length / 2); i++) {
-    const a = ids[i];
-    const b = ids[ids.length - 1 - i];
-    games.push(new Game(a, b, "NCAA", 0, true));
-  }
-  return games;
-}
-
-function simBracket(u) {
-  if (!u.bracket) return;
-  const rounds = u.bracket.rounds;
-  let current = rounds[0];
-  for (const g of current) simulateGame(u, g);
-  let nextIds = current.map((g) => (g.homeScore > g.awayScore ? g.homeId : g.awayId));
-  while (nextIds.length > 1) {
-    const nextRound = pairRound(nextIds);
-    for (const g of nextRound) simulateGame(u, g);
-    rounds.push(nextRound);
-    nextIds = nextRound.map((g) =>
-      g.homeScore > g.awayScore ? g.homeId : g.awayId
-    );
-  }
-}
-
 // ---------- UI ----------
 const els = {
   views: {
     teams: document.getElementById("view-teams"),
     standings: document.getElementById("view-standings"),
     schedule: document.getElementById("view-schedule"),
+    events: document.getElementById("view-events"),
     tournaments: document.getElementById("view-tournaments"),
     bracket: document.getElementById("view-bracket"),
+    nit: document.getElementById("view-nit"),
+    history: document.getElementById("view-history"),
+    saves: document.getElementById("view-saves"),
+    timeline: document.getElementById("view-timeline"),
+    roster: document.getElementById("view-roster"),
+    game: document.getElementById("view-game"),
+    team: document.getElementById("view-team"),
+    live: document.getElementById("view-live"),
+    ratings: document.getElementById("view-ratings"),
+    poll: document.getElementById("view-poll"),
+    recruiting: document.getElementById("view-recruiting"),
+    portal: document.getElementById("view-portal"),
+    coaches: document.getElementById("view-coaches"),
+    gm: document.getElementById("view-gm"),
+    finances: document.getElementById("view-finances"),
+    bubble: document.getElementById("view-bubble"),
+    projections: document.getElementById("view-projections"),
+    league: document.getElementById("view-league"),
   },
   help: document.getElementById("help"),
   fileInput: document.getElementById("fileInput"),
@@ -576,11 +457,13 @@ function renderTeams() {
   const confs = Object.keys(by).sort();
   let html = `<div class="grid cols-2">`;
   for (const conf of confs) {
-    html += `<div class="card"><div class="badge">${conf}</div><table><thead><tr><th>Team</th><th class="mono">Rtg</th><th class="mono">W-L</th></tr></thead><tbody>`;
+    html += `<div class="card"><div class="badge">${conf}</div><table><thead><tr><th>Team</th><th class="mono">Rtg</th><th class="mono">Str</th><th class="mono">W-L</th></tr></thead><tbody>`;
     for (const t of standingsForConf(U, conf)) {
-      html += `<tr><td>${t.name}</td><td class="mono">${t.rating.toFixed(
+      html += `<tr><td>${teamLink(t.id)}</td><td class="mono">${t.rating.toFixed(
         0
-      )}</td><td class="mono">${t.w}-${t.l}</td></tr>`;
+      )}</td><td class="mono">${teamStrength(t).toFixed(1)}</td><td class="mono">${t.w}-${
+        t.l
+      }</td></tr>`;
     }
     html += `</tbody></table></div>`;
   }
@@ -588,15 +471,14 @@ function renderTeams() {
   els.views.teams.innerHTML = html;
 }
 
-function renderStandings() {
-  const by = groupByConference(U.teams);
-  const confs = Object.keys(by).sort();
+function standingsHTML(byConf, nameOf) {
   let html = "";
-  for (const conf of confs) {
-    const s = standingsForConf(U, conf);
+  for (const conf of Object.keys(byConf).sort()) {
     html += `<div class="card"><div class="badge">${conf}</div><table><thead><tr><th>#</th><th>Team</th><th class="mono">Conf</th><th class="mono">Overall</th><th class="mono">SOS</th></tr></thead><tbody>`;
-    s.forEach((t, i) => {
-      html += `<tr><td>${i + 1}</td><td>${t.name}</td><td class="mono">${t.cw}-${
+    byConf[conf].forEach((t, i) => {
+      html += `<tr${isMine(t.id) ? ` class="mine"` : ""}><td>${i + 1}</td><td>${nameOf(
+        t.id
+      )}</td><td class="mono">${t.cw}-${
         t.cl
       }</td><td class="mono">${t.w}-${t.l}</td><td class="mono">${t.sos.toFixed(
         1
@@ -604,30 +486,42 @@ function renderStandings() {
     });
     html += `</tbody></table></div>`;
   }
-  els.views.standings.innerHTML = html;
+  return html;
+}
+
+function renderStandings() {
+  const by = groupByConference(U.teams);
+  const byConf = {};
+  for (const conf of Object.keys(by)) byConf[conf] = standingsForConf(U, conf);
+  els.views.standings.innerHTML = standingsHTML(byConf, (id) => teamLink(id));
 }
 
 function renderSchedule() {
-  const weeks = {};
+  const days = {};
   for (const g of U.games) {
-    const w = g.week || 0;
-    if (!weeks[w]) weeks[w] = [];
-    weeks[w].push(g);
+    const d = g.day ?? -g.week; // saves from before the calendar only have weeks
+    if (!days[d]) days[d] = [];
+    days[d].push(g);
   }
-  const sortedWeeks = Object.keys(weeks)
+  const sortedDays = Object.keys(days)
     .map(Number)
     .sort((a, b) => a - b);
   let html = "";
-  for (const w of sortedWeeks) {
-    html += `<div class="card"><div class="badge">Week ${w}</div>`;
-    for (const g of weeks[w]) {
-      const home = U.teams.find((t) => t.id === g.homeId);
-      const away = U.teams.find((t) => t.id === g.awayId);
-      html += `<div class="game"><span>${
-        g.conf ? `<span class="badge">${g.conf}</span> ` : ""
-      }${away.name} @ ${home.name}${g.neutral ? " (N)" : ""}</span>`;
+  for (const d of sortedDays) {
+    const label = d < 0 ? `Week ${-d}` : formatDay(U.year, d);
+    html += `<div class="card"><div class="badge">${label}</div>${
+      d === U.day ? ` <span class="badge">Today</span>` : ""
+    }`;
+    const ranks = pollRanks(pollOn(U, d));
+    for (const g of days[d]) {
+      const name = (id) => (id == null ? "<em>TBD</em>" : rankedName(id, ranks));
+      const badge = g.conf || (g.event != null ? U.events[g.event].name : "");
+      html += `<div class="game${isMine(g.homeId, g.awayId) ? " mine" : ""}" data-ref="s|${U.games.indexOf(
+        g
+      )}"><span>${badge ? `<span class="badge">${badge}</span> ` : ""
+      }${name(g.awayId)} ${g.neutral ? "vs" : "@"} ${name(g.homeId)}${g.neutral ? " (N)" : ""}</span>`;
       html += `<span class="mono">${
-        g.played ? `${g.awayScore}–${g.homeScore}` : "—"
+        g.played ? `${g.awayScore}–${g.homeScore}` : watchButton(g, `s|${U.games.indexOf(g)}`) || "—"
       }</span></div>`;
     }
     html += `</div>`;
@@ -636,206 +530,2306 @@ function renderSchedule() {
     html || `<div class="card">No schedule yet. Click <em>Generate Schedule</em>.</div>`;
 }
 
-function renderConfTournaments() {
+const EVENT_GAME_LABELS = {
+  4: [
+    ["Semifinal", "Semifinal"],
+    ["Championship", "Third Place"],
+  ],
+  8: [
+    ["Quarterfinal", "Quarterfinal", "Quarterfinal", "Quarterfinal"],
+    ["Semifinal", "Semifinal", "Consolation", "Consolation"],
+    ["Championship", "Third Place", "Fifth Place", "Seventh Place"],
+  ],
+};
+
+function renderEvents() {
   let html = "";
-  for (const conf of Object.keys(U.confTournaments).sort()) {
+  U.events.forEach((ev, i) => {
+    const seed = (id) =>
+      id == null
+        ? "<em>TBD</em>"
+        : `<span class="mono">(${ev.teams.indexOf(id) + 1})</span> ${teamLink(id)}`;
+    const games = U.games.filter((g) => g.event === i);
+    const rounds = EVENT_GAME_LABELS[ev.teams.length].map(() => []);
+    for (const g of games) rounds[g.day - ev.day].push(g);
+    html += `<div class="card"><div class="badge">${ev.name}</div> <span>${formatDay(
+      U.year,
+      ev.day
+    )} – ${formatDay(U.year, ev.day + rounds.length - 1)}</span>`;
+    rounds.forEach((list, r) => {
+      html += `<div class="round"><h3>${formatDay(U.year, ev.day + r)}</h3>`;
+      list.forEach((g, j) => {
+        html += `<div class="game" data-ref="s|${U.games.indexOf(g)}"><span>${
+          EVENT_GAME_LABELS[ev.teams.length][r][j]
+        }: ${seed(g.awayId)} vs ${seed(g.homeId)}</span><span class="mono">${
+          g.played ? `${g.awayScore}–${g.homeScore}` : watchButton(g, `s|${U.games.indexOf(g)}`) || "—"
+        }</span></div>`;
+      });
+      html += `</div>`;
+    });
+    const final = rounds[rounds.length - 1][0];
+    if (final && final.played) {
+      html += `<div class="badge">Champion: ${teamById(U, winnerId(final)).name}</div>`;
+    }
+    html += `</div>`;
+  });
+  els.views.events.innerHTML =
+    html || `<div class="card">No early-season events yet. Click <em>Generate Schedule</em>.</div>`;
+}
+
+function confRoundTitle(rounds, idx) {
+  if (idx === rounds.length - 1) return "Final";
+  if (idx === rounds.length - 2 && rounds[idx].length === 2) return "Semifinals";
+  return `Round ${idx + 1}`;
+}
+
+function hostRoundsLabel(n, rounds) {
+  if (n === 0) return "Neutral site";
+  if (n >= rounds) return "Better seed hosts every round";
+  return n === 1 ? "Better seed hosts round 1" : `Better seed hosts rounds 1–${n}`;
+}
+
+function describeConfFormat(format, plan) {
+  const parts = [`${plan.length} rounds`];
+  format.byes.forEach((n, k) => {
+    const lo = (format.byes[k + 1] || 0) + 1;
+    const skip = ["bye", "double bye", "triple bye"][k] || `${k + 1} byes`;
+    parts.push(`${lo === n ? `Seed ${n}` : `Seeds ${lo}–${n}`}: ${skip}`);
+  });
+  return parts.join(" · ");
+}
+
+function confFormatsHTML() {
+  const by = groupByConference(U.teams);
+  const built = Object.keys(U.confTournaments).length > 0;
+  let html = `<div class="card"><h3>Tournament Formats</h3>`;
+  if (built) html += `<p>Changes apply the next time the tournaments are built.</p>`;
+  html += `<table><thead><tr><th>Conference</th><th class="mono">Teams</th><th>Qualifiers</th><th>Byes</th><th>Home Court</th><th>Format</th><th></th></tr></thead><tbody>`;
+  for (const conf of Object.keys(by).sort()) {
+    const n = by[conf].length;
+    if (n < 2) continue;
+    const custom = U.confFormats[conf];
+    const format = custom || defaultConfFormat(n);
+    let plan = null;
+    let status;
+    try {
+      plan = confTournamentPlan(format, n);
+      status = describeConfFormat(format, plan);
+    } catch (err) {
+      status = `${err.message} Using the default bracket.`;
+    }
+    const rounds = plan ? plan.length : format.hostRounds;
+    const hostOptions = [];
+    for (let k = 0; k <= Math.max(rounds, format.hostRounds); k++) hostOptions.push(k);
+    html += `<tr data-conf="${encodeURIComponent(conf)}"><td>${conf}</td><td class="mono">${n}</td>`;
+    html += `<td><input type="number" class="fmt-qualifiers" min="2" max="${n}" placeholder="All" value="${
+      format.qualifiers ?? ""
+    }"></td>`;
+    html += `<td><input type="text" class="fmt-byes" placeholder="None" value="${format.byes.join(", ")}"></td>`;
+    html += `<td><select class="fmt-host">${hostOptions
+      .map(
+        (k) =>
+          `<option value="${k}"${k === format.hostRounds ? " selected" : ""}>${hostRoundsLabel(
+            k,
+            rounds
+          )}</option>`
+      )
+      .join("")}</select></td>`;
+    html += `<td>${status}</td><td>${
+      custom ? `<button class="fmt-reset">Default</button>` : ""
+    }</td></tr>`;
+  }
+  html += `</tbody></table></div>`;
+  return html;
+}
+
+// Reads a format row back into a format. A new qualifier count starts from
+// the default byes for that field size.
+function confFormatFromRow(row, changed) {
+  const q = row.querySelector(".fmt-qualifiers").value.trim();
+  const qualifiers = q === "" ? null : Number(q);
+  const byesText = row.querySelector(".fmt-byes").value.trim();
+  const byes =
+    changed.classList.contains("fmt-qualifiers") && Number.isInteger(qualifiers)
+      ? defaultConfFormat(qualifiers).byes
+      : byesText
+      ? byesText.split(/[\s,]+/).map(Number)
+      : [];
+  return { qualifiers, byes, hostRounds: Number(row.querySelector(".fmt-host").value) };
+}
+
+function changeConfFormat(conf, format) {
+  try {
+    act(U, { type: "setConfFormat", conf, format });
+  } catch (err) {
+    alert(`${conf}: ${err.message}`);
+  }
+  saveState(U);
+  renderConfTournaments();
+}
+
+function renderConfTournaments() {
+  const seedOf = (conf, id) => {
+    const i = (U.confSeeds[conf] || []).indexOf(id);
+    return i >= 0 ? `<span class="mono">(${i + 1})</span> ` : "";
+  };
+  const label = (conf, id) => (id == null ? "<em>TBD</em>" : `${seedOf(conf, id)}${teamLink(id)}`);
+  let html = confFormatsHTML();
+  const tourneys = Object.keys(U.confTournaments).sort();
+  for (const conf of tourneys) {
     const rounds = U.confTournaments[conf];
     html += `<div class="card"><div class="badge">${conf} — Tournament</div>`;
     rounds.forEach((games, idx) => {
-      html += `<div class="round"><h3>Round ${idx + 1}</h3>`;
-      for (const g of games) {
-        const A = U.teams.find((t) => t.id === g.awayId);
-        const H = U.teams.find((t) => t.id === g.homeId);
-        html += `<div class="game"><span>${A.name} vs ${H.name} (N)</span><span class="mono">${g.awayScore}–${g.homeScore}</span></div>`;
-      }
+      html += `<div class="round"><h3>${confRoundTitle(rounds, idx)}</h3>`;
+      games.forEach((g, gi) => {
+        const matchup = g.neutral
+          ? `${label(conf, g.awayId)} vs ${label(conf, g.homeId)} (N)`
+          : `${label(conf, g.awayId)} @ ${label(conf, g.homeId)}`;
+        const ref = `c|${encodeURIComponent(conf)}|${idx}|${gi}`;
+        html += `<div class="game" data-ref="${ref}"><span>${matchup}</span><span class="mono">${
+          g.played
+            ? `${g.awayScore}–${g.homeScore}`
+            : `${g.day != null ? formatDay(U.year, g.day) : "—"} ${watchButton(g, ref)}`
+        }</span></div>`;
+      });
       html += `</div>`;
     });
-    const last = rounds[rounds.length - 1];
-    const cg = last[last.length - 1];
-    const champ = U.teams.find(
-      (t) => (cg.homeScore > cg.awayScore ? cg.homeId : cg.awayId) === t.id
-    );
-    html += `<div class="badge">Champion: ${champ.name}</div>`;
+    const champ = confChampions(U)[conf];
+    if (champ != null) html += `<div class="badge">Champion: ${teamById(U, champ).name}</div>`;
     html += `</div>`;
   }
-  els.views.tournaments.innerHTML =
-    html || `<div class="card">Run <em>Sim Conf Tournaments</em> after regular season.</div>`;
+  if (!tourneys.length) {
+    html += `<div class="card">Use <em>Build Conf Tournaments</em> or <em>Sim Conf Tournaments</em> after the regular season.</div>`;
+  }
+  els.views.tournaments.innerHTML = html;
+  els.views.tournaments.querySelectorAll("tr[data-conf]").forEach((row) => {
+    const conf = decodeURIComponent(row.getAttribute("data-conf"));
+    row.querySelectorAll("input, select").forEach((input) => {
+      input.addEventListener("change", () => changeConfFormat(conf, confFormatFromRow(row, input)));
+    });
+    const reset = row.querySelector(".fmt-reset");
+    if (reset) reset.addEventListener("click", () => changeConfFormat(conf, null));
+  });
 }
 
-function renderBracket() {
-  if (!U.bracket) {
-    els.views.bracket.innerHTML = `<div class="card">Build the national bracket after conference tournaments.</div>`;
-    return;
+// Renders a bracket region by region: the First Four, each region's rounds
+// through its final, then the Final Four and championship. Game refs are
+// `${refPrefix}|<round>|<idx>` with "ff" as the First Four's round. Named
+// brackets (the NIT and CBI) get their own round titles.
+function bracketHTML(b, nameOf, refPrefix) {
+  const titleOf = b.name ? eventRoundLabel : roundLabel;
+  const label = (id) => {
+    if (id == null) return "<em>First Four winner</em>";
+    const s = b.seeds && b.seeds[id];
+    return s ? `<span class="mono">${s.seed}</span> ${nameOf(id)}` : nameOf(id);
+  };
+  const gameHTML = (g, ref) =>
+    `<div class="game${isMine(g.homeId, g.awayId) ? " mine" : ""}" data-ref="${ref}"><span>${label(
+      g.awayId
+    )} ${g.neutral ? "vs" : "@"} ${label(g.homeId)}</span><span class="mono">${
+      g.played ? `${g.awayScore}–${g.homeScore}` : watchButton(g, ref) || "—"
+    }</span></div>`;
+  const roundHTML = (title, games, r, offset) =>
+    `<div class="round"><h3>${title}</h3>${games
+      .map((g, i) => gameHTML(g, `${refPrefix}|${r}|${offset + i}`))
+      .join("")}</div>`;
+
+  let html = "";
+  if (b.firstFour && b.firstFour.length) {
+    html += `<div class="card"><div class="badge">First Four</div>${b.firstFour
+      .map((g, i) => gameHTML(g, `${refPrefix}|ff|${i}`))
+      .join("")}</div>`;
   }
-  const rounds = U.bracket.rounds;
-  let html = `<div class="bracket">`;
-  rounds.forEach((games, idx) => {
-    html += `<div class="round"><h3>${
-      ["Round of", "Round of", "Sweet 16", "Elite 8", "Final 4", "Final"][idx] ||
-      "Round"
-    } ${games.length * 2}</h3>`;
-    for (const g of games) {
-      const A = U.teams.find((t) => t.id === g.awayId);
-      const H = U.teams.find((t) => t.id === g.homeId);
-      html += `<div class="game"><span>${A.name} vs ${H.name}</span><span class="mono">${g.awayScore}–${g.homeScore}</span></div>`;
+  const regions = b.regions || ["National"];
+  const regionSize = b.regionSize || b.rounds[0].length * 2;
+  const regionRounds = Math.log2(regionSize);
+  regions.forEach((name, r) => {
+    html += `<div class="card">${
+      regions.length > 1 ? `<div class="badge">${name} Region</div>` : ""
+    }<div class="bracket" style="grid-template-columns:repeat(${regionRounds},1fr)">`;
+    for (let k = 0; k < regionRounds && k < b.rounds.length; k++) {
+      const per = regionSize >> (k + 1);
+      const title = titleOf(b.rounds[k].length * 2);
+      html += roundHTML(title, b.rounds[k].slice(r * per, (r + 1) * per), k, r * per);
     }
-    html += `</div>`;
+    html += `</div></div>`;
   });
-  const last = rounds[rounds.length - 1];
+  if (b.rounds.length > regionRounds) {
+    const national = b.rounds.slice(regionRounds);
+    html += `<div class="card"><div class="bracket" style="grid-template-columns:repeat(${
+      national.length
+    },1fr)">`;
+    national.forEach((games, i) => {
+      html += roundHTML(titleOf(games.length * 2), games, regionRounds + i, 0);
+    });
+    html += `</div></div>`;
+  }
+  const last = b.rounds[b.rounds.length - 1];
   const g = last[last.length - 1];
-  const champ = U.teams.find(
-    (t) => (g.homeScore > g.awayScore ? g.homeId : g.awayId) === t.id
-  );
-  html += `</div><div class="card"><div class="badge">National Champion: ${champ.name}</div></div>`;
-  els.views.bracket.innerHTML = html;
+  if (last.length === 1 && g.played) {
+    html += `<div class="card"><div class="badge">${b.name || "National"} Champion: ${nameOf(
+      winnerId(g)
+    )}</div></div>`;
+  }
+  return html;
 }
 
-function setView(name) {
-  for (const key of Object.keys(els.views)) {
-    els.views[key].classList.remove("active");
+function renderBracket() {
+  if (!U.bracket) {
+    els.views.bracket.innerHTML = `<div class="card">Build the national bracket after conference tournaments.</div>`;
+    return;
   }
-  const el = els.views[name];
-  if (el) el.classList.add("active");
+  const ranks = pollRanks(pollOn(U, U.day));
+  els.views.bracket.innerHTML = bracketHTML(U.bracket, (id) => rankedName(id, ranks), "b");
 }
 
-// ---------- Static CSV Mode & Exporter ----------
-function isStaticCsvMode() {
-  const el = document.getElementById("staticCsvMode");
-  return el && el.checked;
-}
-if (document.getElementById("staticCsvMode")) {
-  document.getElementById("staticCsvMode").addEventListener("change", () => {
-    localStorage.setItem("cbbgm_static_csv_mode", isStaticCsvMode() ? "1" : "0");
+function renderSecondary() {
+  let html = `<div class="card"><label><input type="checkbox" id="cbiToggle"${
+    U.cbiEnabled ? " checked" : ""
+  }> Hold a CBI</label> <span>Takes effect the next time the field is selected.</span></div>`;
+  if (!U.nit) {
+    html += `<div class="card">The NIT field is picked with the national bracket from the best teams
+      left out. Regular-season conference champions who miss the field get automatic bids.</div>`;
+  }
+  const autos = new Set(Object.values(regularSeasonChampions(U)));
+  const ranks = pollRanks(pollOn(U, U.day));
+  for (const key of ["nit", "cbi"]) {
+    const b = U[key];
+    if (!b) continue;
+    const ids = Object.keys(b.seeds)
+      .map(Number)
+      .sort((x, y) => b.seeds[x].seed - b.seeds[y].seed);
+    html += `<div class="card"><h3>${b.name} Field</h3><p>${ids
+      .map(
+        (id) =>
+          `<span class="mono">${b.seeds[id].seed}</span> ${teamById(U, id).name}${
+            key === "nit" && autos.has(id) ? ` <span class="badge">Auto bid</span>` : ""
+          }`
+      )
+      .join(" · ")}</p></div>`;
+    html += bracketHTML(b, (id) => rankedName(id, ranks), `p|${key}`);
+  }
+  els.views.nit.innerHTML = html;
+  document.getElementById("cbiToggle").addEventListener("change", (e) => {
+    act(U, { type: "setCbiEnabled", enabled: e.target.checked });
+    saveState(U);
+    renderSecondary();
   });
-  const savedFlag = localStorage.getItem("cbbgm_static_csv_mode");
-  if (savedFlag === "1") document.getElementById("staticCsvMode").checked = true;
 }
 
-async function exportTeamsCSV(teams) {
-  const header = "School,Nickname,Conference,Rating";
-  const lines = teams.map((t) => {
-    const esc = (s) => `"${String(s ?? "").replace(/"/g, '""')}"`;
-    return [esc(t.school), esc(t.nickname), esc(t.conf), t.rating].join(",");
+const RATINGS_COLUMNS = [
+  { key: "team", label: "Team", value: (t) => t.name, text: true },
+  { key: "conf", label: "Conf", value: (t) => t.conf, text: true },
+  { key: "wl", label: "W-L", value: (t) => t.w - t.l },
+  { key: "net", label: "NET", value: (t) => t.net, lowFirst: true },
+  { key: "em", label: "AdjEM", value: (t) => adjEM(t) },
+  { key: "o", label: "AdjO", value: (t) => t.adjO },
+  { key: "d", label: "AdjD", value: (t) => t.adjD, lowFirst: true },
+  { key: "t", label: "AdjT", value: (t) => t.adjT },
+  { key: "sos", label: "SOS", value: (t) => t.sos },
+];
+let ratingsSort = { key: "em", dir: -1 };
+
+function renderRatings() {
+  if (!U.teams.some((t) => t.adjT > 0)) {
+    els.views.ratings.innerHTML = `<div class="card">Ratings appear once games have been played.</div>`;
+    return;
+  }
+  const byEM = U.teams.slice().sort((a, b) => adjEM(b) - adjEM(a));
+  const rank = {};
+  byEM.forEach((t, i) => (rank[t.id] = i + 1));
+  const col = RATINGS_COLUMNS.find((c) => c.key === ratingsSort.key);
+  const rows = U.teams.slice().sort((a, b) => {
+    const va = col.value(a),
+      vb = col.value(b);
+    const cmp = col.text ? String(va).localeCompare(String(vb)) : va - vb;
+    return cmp * ratingsSort.dir;
+  });
+  let html = `<div class="card"><table><thead><tr><th class="mono">Rk</th>`;
+  for (const c of RATINGS_COLUMNS) {
+    const arrow = c.key === ratingsSort.key ? (ratingsSort.dir > 0 ? " ▲" : " ▼") : "";
+    html += `<th class="sortable${c.text ? "" : " mono"}" data-sort="${c.key}">${c.label}${arrow}</th>`;
+  }
+  html += `</tr></thead><tbody>`;
+  for (const t of rows) {
+    html += `<tr><td class="mono">${rank[t.id]}</td><td>${t.name}</td><td>${
+      t.conf
+    }</td><td class="mono">${t.w}-${t.l}</td><td class="mono">${
+      t.net
+    }</td><td class="mono">${adjEM(t).toFixed(1)}</td><td class="mono">${t.adjO.toFixed(1)}</td><td class="mono">${t.adjD.toFixed(
+      1
+    )}</td><td class="mono">${t.adjT.toFixed(1)}</td><td class="mono">${t.sos.toFixed(
+      1
+    )}</td></tr>`;
+  }
+  html += `</tbody></table></div>`;
+  els.views.ratings.innerHTML = html;
+  els.views.ratings.querySelectorAll("th[data-sort]").forEach((th) => {
+    th.addEventListener("click", () => {
+      const key = th.getAttribute("data-sort");
+      const c = RATINGS_COLUMNS.find((x) => x.key === key);
+      if (ratingsSort.key === key) ratingsSort.dir = -ratingsSort.dir;
+      else ratingsSort = { key, dir: c.text || c.lowFirst ? 1 : -1 };
+      renderRatings();
+    });
   });
-  const csv = [header, ...lines].join("\n");
-  const blob = new Blob([csv], { type: "text/csv" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = "teams.csv";
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
 }
 
-// ---------- Bootstrap / Actions ----------
-async function buildOrLoad() {
-  const saved = loadState();
-  if (saved) {
-    U = revive(saved);
-    renderAll();
+// "5 Duke" with the rank muted, or just the name for an unranked team; the
+// name links to the team page. `ranks` is from pollRanks().
+function rankedName(id, ranks) {
+  const name = teamLink(id);
+  return ranks[id] ? `<span class="poll-rank" title="Top 25">${ranks[id]}</span> ${name}` : name;
+}
+
+let pollIndex = null; // which of U.polls the Top 25 view shows; null for the latest
+
+function pollMove(rank, prevRank) {
+  if (!prevRank) return `<span class="up">NR</span>`;
+  if (rank === prevRank) return "—";
+  return rank < prevRank
+    ? `<span class="up">▲${prevRank - rank}</span>`
+    : `<span class="down">▼${rank - prevRank}</span>`;
+}
+
+function renderPoll() {
+  if (U.polls.length === 0) {
+    els.views.poll.innerHTML = `<div class="card">The preseason poll comes out with the schedule.</div>`;
     return;
   }
-  const useStatic = localStorage.getItem("cbbgm_static_csv_mode") === "1";
-  if (useStatic) {
-    const rows = await loadTeamsCSV();
-    const seedInput = document.getElementById("seedInput");
-    U = new Universe(rows, seedInput.value || "static-csv");
-    saveState(U);
-    renderAll();
-    return;
+  if (pollIndex != null && pollIndex >= U.polls.length) pollIndex = null;
+  const idx = pollIndex ?? U.polls.length - 1;
+  const poll = U.polls[idx];
+  const ranks = pollRanks(poll);
+  const prevRanks = idx > 0 ? pollRanks(U.polls[idx - 1]) : null;
+  let html = `<div class="card"><label>Poll <select id="pollSelect">${U.polls
+    .map(
+      (p, i) =>
+        `<option value="${i}"${i === idx ? " selected" : ""}>${p.label} (${formatDay(
+          U.year,
+          p.day
+        )})</option>`
+    )
+    .join("")}</select></label> <span>${POLL_VOTERS} voters</span></div>`;
+  html += `<div class="card"><h3>${U.year} ${poll.label} Top 25</h3><table><thead><tr><th class="mono">Rk</th><th>Team</th><th class="mono">W-L</th><th class="mono">Pts</th><th class="mono">1st</th>${
+    prevRanks ? `<th class="mono">Prev</th><th class="mono">Move</th>` : ""
+  }</tr></thead><tbody>`;
+  for (const [id, points, firsts, w, l] of poll.votes.slice(0, POLL_SIZE)) {
+    html += `<tr><td class="mono">${ranks[id]}</td><td>${teamLink(id)}</td><td class="mono">${w}-${l}</td><td class="mono">${points}</td><td class="mono">${
+      firsts || ""
+    }</td>${
+      prevRanks
+        ? `<td class="mono">${prevRanks[id] || "—"}</td><td class="mono">${pollMove(
+            ranks[id],
+            prevRanks[id]
+          )}</td>`
+        : ""
+    }</tr>`;
   }
-  // default fresh boot uses CSV (you can click Wikipedia loader to override later)
-  const rows = await loadTeamsCSV();
-  const seedInput = document.getElementById("seedInput");
-  U = new Universe(rows, seedInput.value || "default");
-  saveState(U);
-  renderAll();
+  html += `</tbody></table>`;
+  const others = poll.votes.slice(POLL_SIZE);
+  if (others.length) {
+    html += `<p><strong>Others receiving votes:</strong> ${others
+      .map(([id, points]) => `${teamLink(id)} ${points}`)
+      .join(", ")}</p>`;
+  }
+  if (prevRanks) {
+    const dropped = Object.keys(prevRanks)
+      .map(Number)
+      .filter((id) => !ranks[id]);
+    if (dropped.length) {
+      html += `<p><strong>Dropped out:</strong> ${dropped
+        .map((id) => `${teamLink(id)} ${prevRanks[id]}`)
+        .join(", ")}</p>`;
+    }
+  }
+  html += `</div>`;
+  els.views.poll.innerHTML = html;
+  document.getElementById("pollSelect").addEventListener("change", (e) => {
+    const i = Number(e.target.value);
+    pollIndex = i === U.polls.length - 1 ? null : i;
+    renderPoll();
+  });
 }
 
-function revive(saved) {
-  const u = new Universe(saved.teams, "revive");
-  u.teams = saved.teams.map((t) =>
-    Object.assign(
-      new Team({
-        id: t.id,
-        school: t.school,
-        nickname: t.nickname,
-        conf: t.conf,
-        rating: t.rating,
-      }),
-      t
-    )
-  );
-  u.year = saved.year;
-  u.week = saved.week;
-  u.games = saved.games.map((g) =>
-    Object.assign(new Game(g.homeId, g.awayId, g.conf, g.week, g.neutral), g)
-  );
-  u.confTournaments = saved.confTournaments || {};
-  u.bracket = saved.bracket || null;
-  u.rnd = rng(hashString(String(saved.year)));
-  return u;
-}
+// ---------- Recruiting ----------
+const RECRUIT_BOARD_ROWS = 100;
+const PRIORITY_LABELS = {
+  prestige: "Prestige",
+  conf: "Conference",
+  success: "Winning",
+  distance: "Close to home",
+};
 
-function renderAll() {
-  renderTeams();
-  renderStandings();
-  renderSchedule();
-  renderConfTournaments();
-  renderBracket();
-  setView("teams");
-  saveState(U);
+let recruitFilter = { stars: "", status: "", region: "" };
+
+function starsText(n) {
+  return "★".repeat(n);
 }
 
-// Header buttons
-document.getElementById("newGameBtn").addEventListener("click", async () => {
-  if (
-    !confirm(
-      "Start a fresh universe? This will overwrite your current save (export first if needed)."
-    )
-  )
-    return;
-  localStorage.removeItem(STORAGE_KEY);
-  await buildOrLoad();
-});
+function recruitLine(p) {
+  return `<span class="stars">${starsText(p.stars)}</span> ${p.name} <span class="mono">${
+    p.pos
+  } ${formatHeight(p.height)}</span>`;
+}
 
-document.getElementById("exportBtn").addEventListener("click", () => {
-  const data = JSON.stringify(U);
-  const blob = new Blob([data], { type: "application/json" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = "cbbgm-save.json";
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
-});
+// A prospect's biggest priority, relative to the average prospect.
+function topPriority(p) {
+  return Object.keys(PRIORITY_LABELS).sort(
+    (a, b) => p.wants[b] / RECRUIT_PRIORITIES[b] - p.wants[a] / RECRUIT_PRIORITIES[a]
+  )[0];
+}
 
-document.getElementById("importBtn").addEventListener("click", () => {
+function renderRecruiting() {
+  const f = recruitFilter;
+  const pull = recruitingPull(U, U.day, seasonResults(U));
+  const spots = openScholarships(U);
+  const decided = (p) => p.teamId != null || p.day < U.recruitDay;
+  const committed = U.recruits.filter((p) => p.teamId != null);
+  let html = `<div class="card"><h3>Class of ${U.year}</h3><p>${U.recruits.length} prospects · ${
+    committed.length
+  } committed · ${U.recruits.filter((p) => !decided(p)).length} still deciding. Commitments sign at the end of the season and join next year's rosters.</p>`;
+  html += `<label>Stars <select id="recruitStars"><option value="">All</option>${[5, 4, 3, 2]
+    .map((n) => `<option value="${n}"${String(n) === f.stars ? " selected" : ""}>${n}-star</option>`)
+    .join("")}</select></label> `;
+  html += `<label>Status <select id="recruitStatus">${[
+    ["", "All"],
+    ["open", "Uncommitted"],
+    ["committed", "Committed"],
+  ]
+    .map(([v, l]) => `<option value="${v}"${v === f.status ? " selected" : ""}>${l}</option>`)
+    .join("")}</select></label> `;
+  html += `<label>Region <select id="recruitRegion"><option value="">All</option>${Object.keys(
+    HOME_REGIONS
+  )
+    .map((r) => `<option${r === f.region ? " selected" : ""}>${r}</option>`)
+    .join("")}</select></label></div>`;
+
+  const rows = U.recruits.filter(
+    (p) =>
+      (!f.stars || p.stars === Number(f.stars)) &&
+      (!f.region || p.region === f.region) &&
+      (!f.status || (f.status === "committed") === (p.teamId != null))
+  );
+  html += `<div class="card"><h3>Recruiting Board</h3><table><thead><tr><th class="mono">Rk</th><th>Prospect</th><th>Home</th><th>Priority</th><th>Status</th><th>Leaders</th></tr></thead><tbody>`;
+  for (const p of rows.slice(0, RECRUIT_BOARD_ROWS)) {
+    let status;
+    let leaders = "";
+    if (p.teamId != null) {
+      status = `${teamLink(p.teamId)} <span class="mono">${formatDay(U.year, p.day)}</span>`;
+    } else if (decided(p)) {
+      status = "Unsigned";
+    } else {
+      status = `Decides <span class="mono">${formatDay(U.year, p.day)}</span>`;
+      leaders = recruitLeaders(U, p, pull, spots)
+        .slice(0, 3)
+        .map((l) => teamLink(l.id, teamById(U, l.id).school))
+        .join(", ");
+    }
+    html += `<tr><td class="mono">${p.rank}</td><td>${recruitLine(p)}</td><td>${p.region}</td><td>${
+      PRIORITY_LABELS[topPriority(p)]
+    }</td><td>${status}</td><td>${leaders}</td></tr>`;
+  }
+  html += `</tbody></table>${
+    rows.length > RECRUIT_BOARD_ROWS
+      ? `<p>Showing the top ${RECRUIT_BOARD_ROWS} of ${rows.length}.</p>`
+      : ""
+  }</div>`;
+
+  html += `<div class="grid cols-2"><div class="card"><h3>Class Rankings</h3>`;
+  const classes = recruitingClasses(U);
+  if (classes.length) {
+    html += `<table><thead><tr><th class="mono">Rk</th><th>Team</th><th class="mono">Commits</th><th class="mono">5★/4★/3★/2★</th><th class="mono">Pts</th></tr></thead><tbody>`;
+    classes.slice(0, 50).forEach((c, i) => {
+      const count = (n) => c.commits.filter((p) => p.stars === n).length;
+      html += `<tr><td class="mono">${i + 1}</td><td>${teamLink(c.id)}</td><td class="mono">${
+        c.commits.length
+      }</td><td class="mono">${[5, 4, 3, 2].map(count).join("/")}</td><td class="mono">${c.points.toFixed(
+        1
+      )}</td></tr>`;
+    });
+    html += `</tbody></table>`;
+  } else {
+    html += `<p>No commitments yet. The early signing period opens ${formatDay(
+      U.year,
+      EARLY_SIGNING[0]
+    )}.</p>`;
+  }
+  html += `</div><div class="card"><h3>Commitment Timeline</h3>`;
+  const timeline = committed.slice().sort((a, b) => b.day - a.day || a.rank - b.rank);
+  html += timeline.length
+    ? timeline
+        .slice(0, 40)
+        .map(
+          (p) =>
+            `<div class="game"><span><span class="mono">${formatDay(U.year, p.day)}</span> ${recruitLine(
+              p
+            )} → ${teamLink(p.teamId)}</span><span class="mono">#${p.rank}</span></div>`
+        )
+        .join("")
+    : `<p>—</p>`;
+  html += `</div></div>`;
+  els.views.recruiting.innerHTML = html;
+
+  for (const [id, key] of [
+    ["recruitStars", "stars"],
+    ["recruitStatus", "status"],
+    ["recruitRegion", "region"],
+  ]) {
+    document.getElementById(id).addEventListener("change", (e) => {
+      recruitFilter = Object.assign({}, recruitFilter, { [key]: e.target.value });
+      renderRecruiting();
+    });
+  }
+}
+
+// ---------- Transfer portal ----------
+function renderPortal() {
+  const P = U.portal;
+  if (!P) {
+    els.views.portal.innerHTML = `<div class="card">The transfer portal opens after the national
+      tournament, once the signing period has closed and the coaching carousel has run. Players
+      short on minutes, coming off a losing season or losing their coach are the likeliest to
+      leave.</div>`;
+    return;
+  }
+  const moved = P.entrants.filter((e) => e.toId != null);
+  let html = `<div class="card"><h3>${P.year} Transfer Portal</h3><p>${
+    P.entrants.length
+  } entrants · ${moved.length} found a new program · ${
+    P.entrants.length - moved.length
+  } unsigned. ${
+    portalOpen(U)
+      ? "Transfers join their new rosters when the season advances."
+      : `These moves shaped the ${U.year} rosters.`
+  }</p></div>`;
+
+  html += `<div class="grid cols-2"><div class="card"><h3>Entrants</h3><table><thead><tr><th>Player</th><th class="mono">Ovr</th><th>From</th><th>To</th><th>Reason</th></tr></thead><tbody>`;
+  for (const e of P.entrants) {
+    html += `<tr><td>${e.name} <span class="mono">${e.pos} ${e.cls}</span></td><td class="mono">${e.ovr.toFixed(
+      1
+    )}</td><td>${teamLink(e.fromId, teamById(U, e.fromId).school)}</td><td>${
+      e.toId != null ? teamLink(e.toId, teamById(U, e.toId).school) : "Unsigned"
+    }</td><td>${PORTAL_REASONS[e.reason]}</td></tr>`;
+  }
+  html += `</tbody></table></div>`;
+
+  const moves = {};
+  const row = (id) => (moves[id] = moves[id] || { in: 0, out: 0 });
+  for (const e of P.entrants) {
+    row(e.fromId).out++;
+    if (e.toId != null) row(e.toId).in++;
+  }
+  const ids = Object.keys(moves)
+    .map(Number)
+    .sort((a, b) => P.net[b] - P.net[a] || moves[b].in - moves[a].in);
+  html += `<div class="card"><h3>Net Gain / Loss</h3><p>Change in the strength of each program's returning rotation.</p><table><thead><tr><th>Team</th><th class="mono">In</th><th class="mono">Out</th><th class="mono">Net</th></tr></thead><tbody>`;
+  for (const id of ids) {
+    const net = P.net[id];
+    html += `<tr><td>${teamLink(id)}</td><td class="mono">${moves[id].in}</td><td class="mono">${
+      moves[id].out
+    }</td><td class="mono ${net > 0 ? "up" : net < 0 ? "down" : ""}">${net > 0 ? "+" : ""}${net.toFixed(
+      1
+    )}</td></tr>`;
+  }
+  html += `</tbody></table></div></div>`;
+  els.views.portal.innerHTML = html;
+}
+
+// ---------- Coaches ----------
+let coachPageId = null;
+
+function coachLink(id) {
+  return `<a href="#" class="team-link" data-coach="${id}">${coachById(U, id).name}</a>`;
+}
+
+function seatBadge(c) {
+  const status = seatStatus(c);
+  return `<span class="${status === "Hot seat" ? "down" : status === "Warm" ? "" : "up"}">${status}</span>`;
+}
+
+function tourneyFinish(s) {
+  if (s.seed == null) return "—";
+  const finish = s.champ ? "Champion" : roundLabel(s.reached);
+  return `(${s.seed}) ${finish}`;
+}
+
+function renderCoaches() {
+  const teamOf = {};
+  for (const t of U.teams) if (t.coachId != null) teamOf[t.coachId] = t;
+  let html = "";
+
+  const c = coachPageId != null ? coachById(U, coachPageId) : null;
+  if (c) {
+    const rec = coachRecord(c);
+    const t = teamOf[c.id];
+    const job = t
+      ? `Head coach, ${teamLink(t.id)} since ${c.hired} · ${seatBadge(c)} · ${c.contract} year(s) left`
+      : c.retired
+      ? "Retired"
+      : "Out of coaching";
+    html += `<div class="card"><h3>${c.name}</h3><p>${job} · age ${c.age}</p><p class="mono">Tactics ${c.tactics} · Development ${c.development} · Recruiting ${
+      c.recruiting
+    } · Tempo ${c.tempo}</p><p>Career ${rec.w}-${rec.l} · ${rec.ncaa} NCAA Tournament(s) · ${
+      rec.wins
+    } tournament win(s) · ${rec.finalFours} Final Four(s) · ${rec.titles} title(s)</p>`;
+    if (c.career.length) {
+      html += `<table><thead><tr><th class="mono">Year</th><th>Team</th><th class="mono">W-L</th><th>NCAA Tournament</th></tr></thead><tbody>`;
+      for (const s of c.career.slice().reverse()) {
+        html += `<tr><td class="mono">${s.year}</td><td>${teamLink(s.teamId)}</td><td class="mono">${s.w}-${
+          s.l
+        }</td><td>${tourneyFinish(s)}</td></tr>`;
+      }
+      html += `</tbody></table>`;
+    }
+    html += `</div>`;
+  }
+
+  const move = U.carousel;
+  if (move) {
+    const line = (m) => {
+      const who = coachLink(m.coachId);
+      if (m.type === "retired") return `${who} retired from ${teamLink(m.teamId)}`;
+      if (m.type === "fired") return `${teamLink(m.teamId)} moved on from ${who}`;
+      if (m.fromId != null) return `${teamLink(m.teamId)} hired ${who} away from ${teamLink(m.fromId)}`;
+      const hired = coachById(U, m.coachId);
+      return `${teamLink(m.teamId)} hired ${who}${
+        hired.career.some((s) => s.year <= move.year) ? "" : " (first head coaching job)"
+      }`;
+    };
+    html += `<div class="card"><h3>${move.year} Coaching Carousel</h3>${
+      move.moves.length
+        ? move.moves.map((m) => `<div class="game"><span>${line(m)}</span></div>`).join("")
+        : "<p>Every program kept its coach.</p>"
+    }</div>`;
+  }
+
+  const coaches = U.teams
+    .filter((t) => t.coachId != null)
+    .map((t) => coachById(U, t.coachId))
+    .sort((a, b) => coachQuality(b) - coachQuality(a) || a.id - b.id);
+  html += `<div class="card"><h3>Head Coaches</h3><table><thead><tr><th>Coach</th><th>Team</th><th class="mono">Age</th><th class="mono">Tac</th><th class="mono">Dev</th><th class="mono">Rec</th><th class="mono">Tempo</th><th class="mono">Yrs</th><th>Seat</th><th class="mono">Career</th><th class="mono">NCAA</th><th class="mono">F4</th><th class="mono">Titles</th></tr></thead><tbody>`;
+  for (const k of coaches) {
+    const rec = coachRecord(k);
+    html += `<tr><td>${coachLink(k.id)}</td><td>${teamLink(teamOf[k.id].id)}</td><td class="mono">${
+      k.age
+    }</td><td class="mono">${k.tactics}</td><td class="mono">${k.development}</td><td class="mono">${
+      k.recruiting
+    }</td><td class="mono">${k.tempo}</td><td class="mono">${k.contract}</td><td>${seatBadge(
+      k
+    )}</td><td class="mono">${rec.w}-${rec.l}</td><td class="mono">${rec.ncaa}</td><td class="mono">${
+      rec.finalFours
+    }</td><td class="mono">${rec.titles}</td></tr>`;
+  }
+  html += `</tbody></table></div>`;
+  els.views.coaches.innerHTML = html;
+}
+
+function openCoach(id) {
+  coachPageId = id;
+  renderCoaches();
+  setView("coaches");
+}
+
+// ---------- My Program ----------
+const STYLE_LABELS = {
+  pace: {
+    label: "Pace",
+    steps: { "-2": "Grind", "-1": "Deliberate", 0: "Normal", 1: "Up-tempo", 2: "Run and gun" },
+  },
+  threes: {
+    label: "3-point emphasis",
+    steps: { "-2": "Paint only", "-1": "Inside first", 0: "Balanced", 1: "Perimeter", 2: "Bombs away" },
+  },
+  press: { label: "Press", steps: { 0: "None", 1: "Half-court trap", 2: "Full-court press" } },
+};
+const SITE_LABELS = { home: "Home", away: "Away", neutral: "Neutral", guarantee: "Guarantee (home)" };
+const GOAL_BADGES = {
+  met: `<span class="up">Met</span>`,
+  missed: `<span class="down">Missed</span>`,
+  open: "In progress",
+};
+
+// The team id the "My Program" box names among new universe rows, or null.
+function programFromInput(rows) {
+  const name = document.getElementById("programInput").value.trim().toLowerCase();
+  if (!name) return null;
+  const row = rows.find(
+    (r) => r.school.toLowerCase() === name || `${r.school} ${r.nickname}`.trim().toLowerCase() === name
+  );
+  if (!row) alert(`No team named "${name}" in this universe; every program stays AI-controlled.`);
+  return row ? row.id : null;
+}
+
+function isMine(...ids) {
+  return U.gm != null && ids.includes(U.gm.teamId);
+}
+
+// Runs a GM action, reporting a rejected change instead of applying it.
+function manageProgram(action) {
+  try {
+    act(U, action);
+  } catch (err) {
+    alert(err.message);
+  }
+  saveState(U);
+  renderAll();
+  setView("gm");
+}
+
+function bracketOutlook(t) {
+  const lines = [];
+  const b = U.bracket;
+  if (b) {
+    const s = b.seeds[t.id];
+    const secondary = [U.nit, U.cbi].find((x) => x && x.seeds[t.id]);
+    lines.push(
+      s
+        ? `${s.seed} seed in the ${s.region} Region`
+        : secondary
+        ? `Left out of the NCAA Tournament; ${secondary.seeds[t.id].seed} seed in the ${secondary.name}`
+        : "Left out of the NCAA Tournament"
+    );
+  } else if (U.teams.some((x) => x.net > 0)) {
+    const board = selectionBoard(U);
+    const line = board.field.indexOf(t) + 1;
+    const bubble = [...board.lastFourIn, ...board.firstFourOut, ...board.nextFourOut].includes(t);
+    lines.push(
+      line
+        ? `No. ${line} on the S-curve (about a ${
+            board.size === 68 ? Math.min(16, Math.ceil(line / 4)) : line
+          } seed)${
+            board.autoIds.has(t.id) ? ", projected automatic bid" : ""
+          }${bubble ? " · on the bubble" : ""}`
+        : `Outside the projected field of ${board.size}${bubble ? " · on the bubble" : ""}`
+    );
+  } else {
+    lines.push("The S-curve takes shape once games are played.");
+  }
+  const p = projection && projection.year === U.year ? projection.teams[t.id] : null;
+  if (p) {
+    const n = projection.iterations;
+    const pct = (x) => `${((x / n) * 100).toFixed(1)}%`;
+    lines.push(
+      `Projections (${n} sims as of ${formatDay(projection.year, projection.day)}): field ${pct(
+        p.field
+      )}${p.field ? ` · avg seed ${(p.seedSum / p.field).toFixed(1)}` : ""} · Sweet 16 ${pct(
+        p.S16
+      )} · Final Four ${pct(p.F4)} · title ${pct(p.Champ)}`
+    );
+  } else {
+    lines.push(`Run <em>Projections</em> for tournament odds.`);
+  }
+  return lines.map((l) => `<p>${l}</p>`).join("");
+}
+
+function renderGM() {
+  const view = els.views.gm;
+  document.getElementById("programList").innerHTML = U.teams
+    .map((t) => `<option value="${t.school}"></option>`)
+    .join("");
+  const canClaim = U.games.length === 0 && U.history.length === 0;
+  if (!U.gm) {
+    const teams = U.teams.slice().sort((a, b) => a.name.localeCompare(b.name));
+    view.innerHTML = `<div class="card"><h3>My Program</h3><p>Every program is AI-controlled.</p>${
+      canClaim
+        ? `<label>Take over <select id="claimSelect">${teams
+            .map((t) => `<option value="${t.id}">${t.name}</option>`)
+            .join("")}</select></label> <button id="claimBtn">Start</button>`
+        : `<p>Pick a program in the <em>My Program</em> box before starting a new universe.</p>`
+    }</div>`;
+    if (canClaim) {
+      document.getElementById("claimBtn").addEventListener("click", () => {
+        const id = Number(document.getElementById("claimSelect").value);
+        manageProgram({ type: "claimProgram", id });
+      });
+    }
+    return;
+  }
+
+  const t = teamById(U, U.gm.teamId);
+  const id = t.id;
+  const coach = coachOf(U, t);
+  const pollRank = pollRanks(pollOn(U, U.day))[id];
+  let html = `<div class="card"><h3>${teamLink(id)}</h3><p><span class="badge">${t.conf}</span> ${
+    t.w
+  }-${t.l} (${t.cw}-${t.cl})${pollRank ? ` · No. ${pollRank} in the poll` : ""}${
+    t.net ? ` · NET ${t.net}` : ""
+  } · Rating ${t.rating}${coach ? ` · Head coach ${coachLink(coach.id)}` : ""}</p>${
+    canClaim ? `<button id="releaseBtn">Hand back to the AI</button>` : ""
+  }</div>`;
+
+  html += `<div class="grid cols-2"><div class="card"><h3>Season Goals</h3><table><tbody>${seasonGoals(U)
+    .map(
+      (g) =>
+        `<tr><td>${g.label}</td><td>${g.detail}</td><td>${GOAL_BADGES[g.status]}</td></tr>`
+    )
+    .join("")}</tbody></table></div>`;
+  html += `<div class="card"><h3>Bracket Outlook</h3>${bracketOutlook(t)}</div></div>`;
+
+  const upcoming = seasonGames(U)
+    .filter((e) => !e.game.played && (e.game.homeId === id || e.game.awayId === id))
+    .slice(0, 5);
+  html += `<div class="card"><h3>Upcoming Games</h3>`;
+  if (upcoming.length) {
+    html += `<table><thead><tr><th>Date</th><th>Event</th><th>Opponent</th><th class="mono">Win %</th></tr></thead><tbody>`;
+    for (const e of upcoming) {
+      const g = e.game;
+      const oid = g.homeId === id ? g.awayId : g.homeId;
+      const venue = g.neutral ? "vs (N)" : g.homeId === id ? "vs" : "@";
+      let odds = "—";
+      if (oid != null) {
+        const p = pregameWinProb(U, g);
+        odds = `${Math.round((g.homeId === id ? p : 1 - p) * 100)}%`;
+      }
+      html += `<tr data-ref="${e.where.map(encodeURIComponent).join("|")}"><td>${
+        g.day != null ? formatDay(U.year, g.day) : "—"
+      }</td><td>${e.stage}</td><td>${venue} ${
+        oid == null ? "<em>TBD</em>" : teamLink(oid)
+      }</td><td class="mono">${odds}</td></tr>`;
+    }
+    html += `</tbody></table>`;
+  } else {
+    html += `<p>${U.games.length ? "No games left on the schedule." : "No schedule yet."}</p>`;
+  }
+  html += `</div>`;
+
+  html += `<div class="card"><h3>Playing Style</h3>${Object.keys(STYLE_LABELS)
+    .map((k) => {
+      const { label, steps } = STYLE_LABELS[k];
+      const [lo, hi] = STYLE_RANGES[k];
+      let opts = "";
+      for (let v = lo; v <= hi; v++) {
+        opts += `<option value="${v}"${v === U.gm.style[k] ? " selected" : ""}>${steps[v]}</option>`;
+      }
+      return `<label>${label} <select class="style-select" data-style="${k}">${opts}</select></label> `;
+    })
+    .join("")}<p>Pace and pressing add possessions; the press forces turnovers but gives up easier looks at the rim.</p></div>`;
+
+  html += `<div class="card"><h3>Non-Conference Schedule</h3>`;
+  if (U.games.length) {
+    const games = U.games.filter((g) => !g.conf && (g.homeId === id || g.awayId === id));
+    html += `<table><thead><tr><th>Date</th><th>Event</th><th>Opponent</th><th>Result</th></tr></thead><tbody>`;
+    for (const g of games) {
+      const oid = g.homeId === id ? g.awayId : g.homeId;
+      const venue = g.neutral ? "vs (N)" : g.homeId === id ? "vs" : "@";
+      const us = g.homeId === id ? g.homeScore : g.awayScore;
+      const them = g.homeId === id ? g.awayScore : g.homeScore;
+      html += `<tr data-ref="s|${U.games.indexOf(g)}"><td>${formatDay(U.year, g.day)}</td><td>${
+        g.event != null ? U.events[g.event].name : ""
+      }</td><td>${venue} ${oid == null ? "<em>TBD</em>" : teamLink(oid)}</td><td class="mono">${
+        g.played ? `${winnerId(g) === id ? "W" : "L"} ${us}–${them}` : "—"
+      }</td></tr>`;
+    }
+    html += `</tbody></table><p>Line up next season's games after the season is over.</p>`;
+  } else {
+    const plan = U.gm.nonConf;
+    const tiers = conferenceTiers(U);
+    const taken = new Set(plan.map((p) => p.oppId));
+    const options = U.teams
+      .filter((o) => o.conf !== t.conf && !taken.has(o.id))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const total = Number(document.getElementById("nonConfInput").value);
+    html += `<p>${plan.length} of ${total} non-conference games lined up; the scheduler fills the rest, and your program skips early-season events when you line up any.</p>`;
+    if (plan.length) {
+      html += `<table><thead><tr><th>Opponent</th><th>Site</th><th></th></tr></thead><tbody>${plan
+        .map(
+          (p, i) =>
+            `<tr><td>${teamLink(p.oppId)} <span class="badge">${
+              teamById(U, p.oppId).conf
+            }</span></td><td>${SITE_LABELS[p.site]}</td><td><button class="plan-remove" data-index="${i}">Remove</button></td></tr>`
+        )
+        .join("")}</tbody></table>`;
+    }
+    html += `<label>Opponent <select id="planOpp">${options
+      .map(
+        (o) =>
+          `<option value="${o.id}">${o.name} (${o.conf}, ${tiers[o.conf]} major)</option>`
+      )
+      .join("")}</select></label> <label>Site <select id="planSite">${NONCONF_SITES.map(
+      (s) => `<option value="${s}">${SITE_LABELS[s]}</option>`
+    ).join("")}</select></label> <button id="planAddBtn">Add Game</button>`;
+  }
+  html += `</div>`;
+  view.innerHTML = html;
+
+  const release = document.getElementById("releaseBtn");
+  if (release) {
+    release.addEventListener("click", () => {
+      if (confirm(`Hand ${t.name} back to the AI?`)) manageProgram({ type: "claimProgram", id: null });
+    });
+  }
+  view.querySelectorAll(".style-select").forEach((sel) => {
+    sel.addEventListener("change", () =>
+      manageProgram({ type: "setStyle", style: { [sel.getAttribute("data-style")]: Number(sel.value) } })
+    );
+  });
+  const add = document.getElementById("planAddBtn");
+  if (add) {
+    add.addEventListener("click", () => {
+      const oppId = Number(document.getElementById("planOpp").value);
+      const site = document.getElementById("planSite").value;
+      manageProgram({ type: "setNonConfPlan", plan: [...U.gm.nonConf, { oppId, site }] });
+    });
+  }
+  view.querySelectorAll(".plan-remove").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const i = Number(btn.getAttribute("data-index"));
+      manageProgram({ type: "setNonConfPlan", plan: U.gm.nonConf.filter((_, j) => j !== i) });
+    });
+  });
+}
+
+// ---------- Finances ----------
+let financeTeamId = null; // null for my program, or else the top-rated one
+let financeYear = null; // the year the conference table shows; null for this season
+
+function money(x) {
+  return `${x < 0 ? "−" : ""}$${Math.abs(x).toFixed(1)}M`;
+}
+
+function renderFinances() {
+  const t =
+    teamById(U, financeTeamId) ||
+    (U.gm ? teamById(U, U.gm.teamId) : U.teams.slice().sort((a, b) => b.rating - a.rating)[0]);
+  const f = financeOf(U, t);
+  const books = seasonBooks(U);
+  const teams = U.teams.slice().sort((a, b) => a.name.localeCompare(b.name));
+  const mine = isMine(t.id);
+
+  let html = `<div class="card"><label>Program <select id="financeTeam">${teams
+    .map(
+      (o) => `<option value="${o.id}"${o.id === t.id ? " selected" : ""}>${o.name}</option>`
+    )
+    .join("")}</select></label><p>Reserves <span class="mono ${f.cash < 0 ? "down" : ""}">${money(
+    f.cash
+  )}</span> · Facilities <span class="mono">${f.facilities.toFixed(
+    0
+  )}</span>/100 · NIL pool <span class="mono">${money(f.nil)}</span> · Collective standing <span class="mono">${money(
+    f.collective
+  )}</span> · Home-court edge <span class="mono">${Math.round(homeCourt(U, t) * 100)}%</span> of normal</p>`;
+  if (mine) {
+    html += `<p><label>NIL pool ($M) <input id="budgetNil" type="number" min="0" max="${NIL_MAX}" step="0.1" value="${
+      f.nil
+    }"></label> <label>Facility upgrades ($M) <input id="budgetUpgrade" type="number" min="0" max="${UPGRADE_MAX}" step="0.1" value="${
+      f.upgrade
+    }"></label> <button id="budgetBtn">Set Budget</button></p><p>Both are charged when the season's books close. Upgrades come out of reserves and raise the facilities index, which wears down a little every year; the NIL pool carries over until you change it and builds the collective's standing over several seasons. Facilities and NIL both pull recruits, and facilities add to home-court edge.</p>`;
+  } else if (U.gm) {
+    html += `<p>The AI sets this program's budget when each season's books close.</p>`;
+  }
+  html += `</div>`;
+
+  const rows = [...f.ledger.map((e) => [String(e.year), e]), [`${U.year} (to date)`, books[t.id]]];
+  html += `<div class="card"><h3>${t.name} Ledger</h3><table><thead><tr><th>Season</th><th class="mono">Gate</th><th class="mono">Media</th><th class="mono">NCAA Units</th><th class="mono">Revenue</th><th class="mono">Staff</th><th class="mono">Facilities</th><th class="mono">NIL</th><th class="mono">Expenses</th><th class="mono">Net</th><th class="mono">Reserves</th></tr></thead><tbody>`;
+  for (const [label, e] of rows.reverse()) {
+    html += `<tr><td>${label}</td>${["gate", "media", "units", "revenue", "staff", "facilities", "nil", "expenses"]
+      .map((k) => `<td class="mono">${money(e[k])}</td>`)
+      .join("")}<td class="mono ${e.net > 0 ? "up" : e.net < 0 ? "down" : ""}">${money(
+      e.net
+    )}</td><td class="mono">${e.cash != null ? money(e.cash) : "—"}</td></tr>`;
+  }
+  html += `</tbody></table></div>`;
+
+  const years = [...new Set(U.teams.flatMap((o) => financeOf(U, o).ledger.map((e) => e.year)))].sort(
+    (a, b) => b - a
+  );
+  if (!years.includes(financeYear)) financeYear = null;
+  const entries = U.teams
+    .map((o) =>
+      financeYear == null ? books[o.id] : financeOf(U, o).ledger.find((e) => e.year === financeYear)
+    )
+    .filter(Boolean);
+  const confs = {};
+  for (const e of entries) {
+    const c = (confs[e.conf] = confs[e.conf] || {
+      teams: 0,
+      gate: 0,
+      media: 0,
+      units: 0,
+      played: 0,
+      revenue: 0,
+    });
+    c.teams++;
+    for (const k of ["gate", "media", "units", "played", "revenue"]) c[k] += e[k];
+  }
+  html += `<div class="card"><h3>Conference Revenue</h3><label>Season <select id="financeYear"><option value="">${
+    U.year
+  } (to date)</option>${years
+    .map((y) => `<option value="${y}"${y === financeYear ? " selected" : ""}>${y}</option>`)
+    .join("")}</select></label><p>NCAA units: one per national tournament game played by a member, paid to the conference for ${UNIT_YEARS} seasons and split among its members.</p><table><thead><tr><th>Conference</th><th class="mono">Teams</th><th class="mono">Media</th><th class="mono">Gate</th><th class="mono">Units Earned</th><th class="mono">Unit Payout</th><th class="mono">Revenue</th><th class="mono">Per Team</th></tr></thead><tbody>`;
+  for (const conf of Object.keys(confs).sort((a, b) => confs[b].revenue - confs[a].revenue)) {
+    const c = confs[conf];
+    html += `<tr><td>${conf}</td><td class="mono">${c.teams}</td><td class="mono">${money(
+      c.media
+    )}</td><td class="mono">${money(c.gate)}</td><td class="mono">${c.played}</td><td class="mono">${money(
+      c.units
+    )}</td><td class="mono">${money(c.revenue)}</td><td class="mono">${money(
+      c.revenue / c.teams
+    )}</td></tr>`;
+  }
+  html += `</tbody></table></div>`;
+  els.views.finances.innerHTML = html;
+
+  document.getElementById("financeTeam").addEventListener("change", (e) => {
+    financeTeamId = Number(e.target.value);
+    renderFinances();
+  });
+  document.getElementById("financeYear").addEventListener("change", (e) => {
+    financeYear = e.target.value ? Number(e.target.value) : null;
+    renderFinances();
+  });
+  const budget = document.getElementById("budgetBtn");
+  if (budget) {
+    budget.addEventListener("click", () => {
+      try {
+        act(U, {
+          type: "setBudget",
+          budget: {
+            nil: Number(document.getElementById("budgetNil").value),
+            upgrade: Number(document.getElementById("budgetUpgrade").value),
+          },
+        });
+      } catch (err) {
+        alert(err.message);
+      }
+      saveState(U);
+      renderAll();
+      setView("finances");
+    });
+  }
+}
+
+function recordStr(wl) {
+  return `${wl[0]}-${wl[1]}`;
+}
+
+function teamSheetHTML(t, sh) {
+  const wl = sh.worstLoss;
+  const worst = wl
+    ? `${teamById(U, wl.oppId).name} (NET ${wl.net}, ${wl.venue}, Q${wl.quad})`
+    : "None";
+  return `<div class="card"><h3>${t.name} <span class="badge">NET ${t.net}</span></h3>
+    <table><tbody>
+      <tr><td>Record</td><td class="mono">${t.w}-${t.l} (${t.cw}-${t.cl} ${t.conf})</td></tr>
+      <tr><td>Quad 1 / 2 / 3 / 4</td><td class="mono">${sh.quads.map(recordStr).join(" / ")}</td></tr>
+      <tr><td>Road / Neutral / Home</td><td class="mono">${recordStr(sh.away)} / ${recordStr(
+    sh.neutral
+  )} / ${recordStr(sh.home)}</td></tr>
+      <tr><td>WAB / SOS</td><td class="mono">${t.wab.toFixed(1)} / ${t.sos.toFixed(1)}</td></tr>
+      <tr><td>Worst loss</td><td>${worst}</td></tr>
+    </tbody></table></div>`;
+}
+
+function renderBubble() {
+  if (!U.teams.some((t) => t.net > 0)) {
+    els.views.bubble.innerHTML = `<div class="card">Bubble watch appears once games have been played.</div>`;
+    return;
+  }
+  const board = selectionBoard(U);
+  let html = `<div class="card">Field of ${board.size}: ${board.autoIds.size} automatic bids${
+    board.projected ? " (projected from conference leaders where tournaments are unplayed)" : ""
+  }, ${board.size - Math.min(board.size, board.autoIds.size)} at-large.</div>`;
+  const groups = [
+    ["Last Four Byes", board.lastFourByes],
+    ["Last Four In", board.lastFourIn],
+    ["First Four Out", board.firstFourOut],
+    ["Next Four Out", board.nextFourOut],
+  ];
+  for (const [label, teams] of groups) {
+    html += `<h3>${label}</h3>`;
+    if (teams.length === 0) {
+      html += `<div class="card">—</div>`;
+      continue;
+    }
+    html += `<div class="grid cols-2">${teams
+      .map((t) => teamSheetHTML(t, board.sheets[t.id]))
+      .join("")}</div>`;
+  }
+  els.views.bubble.innerHTML = html;
+}
+
+const PROJECTION_COLUMNS = [
+  { key: "team", label: "Team", value: (t) => t.name, text: true },
+  { key: "conf", label: "Conf", value: (t) => t.conf, text: true },
+  { key: "w", label: "Proj W-L", value: (t, p) => p.w },
+  { key: "cw", label: "Proj Conf", value: (t, p) => p.cw },
+  { key: "confTitle", label: "Conf Title", value: (t, p) => p.confTitle, pct: true },
+  { key: "autoBid", label: "Auto Bid", value: (t, p) => p.autoBid, pct: true },
+  { key: "atLarge", label: "At-Large", value: (t, p) => p.atLarge, pct: true },
+  { key: "field", label: "Field", value: (t, p) => p.field, pct: true },
+  {
+    key: "seed",
+    label: "Exp Seed",
+    value: (t, p) => (p.field ? p.seedSum / p.field : 99),
+    lowFirst: true,
+  },
+  ...PROJECTION_ROUNDS.slice(1).map((r) => ({
+    key: r,
+    label: r,
+    value: (t, p) => p[r],
+    pct: true,
+  })),
+];
+let projection = null; // { year, day, iterations, teams }
+let projectionSort = { key: "field", dir: -1 };
+let projectionWorker = null;
+
+function runProjectionWorker(iterations) {
+  if (projectionWorker) projectionWorker.terminate();
+  const progress = document.getElementById("projectionProgress");
+  const year = U.year,
+    day = U.day;
+  try {
+    projectionWorker = new Worker("projection-worker.js");
+  } catch (err) {
+    console.error(err);
+    alert("Projections need Web Worker support (serve the app over http, not file://).");
+    return;
+  }
+  projectionWorker.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === "progress") {
+      progress.value = msg.done / msg.total;
+      return;
+    }
+    projection = { year, day, iterations: msg.result.iterations, teams: msg.result.teams };
+    projectionWorker.terminate();
+    projectionWorker = null;
+    renderProjections();
+    renderGM();
+  };
+  projectionWorker.onerror = (e) => {
+    console.error(e);
+    projectionWorker = null;
+    alert("Projection run failed.");
+  };
+  progress.value = 0;
+  progress.style.display = "";
+  projectionWorker.postMessage({
+    save: JSON.stringify(U),
+    iterations,
+    seed: `proj-${U.year}-${U.day}`,
+  });
+}
+
+function renderProjections() {
+  const running = !!projectionWorker;
+  let html = `<div class="card"><label>Simulations <select id="projectionIterations">${[
+    250, 1000, 2500, 5000,
+  ]
+    .map((n) => `<option value="${n}"${n === 1000 ? " selected" : ""}>${n}</option>`)
+    .join("")}</select></label> <button id="runProjectionsBtn">Run Projections</button>
+    <progress id="projectionProgress" max="1" value="0"${running ? "" : ` style="display:none"`}></progress>`;
+  if (projection) {
+    html += ` <span class="badge">${projection.iterations} sims as of ${formatDay(
+      projection.year,
+      projection.day
+    )}${projection.year !== U.year || projection.day !== U.day ? " (stale)" : ""}</span>`;
+  }
+  html += `</div>`;
+  if (projection && projection.year === U.year) {
+    const n = projection.iterations;
+    const col = PROJECTION_COLUMNS.find((c) => c.key === projectionSort.key);
+    const rows = U.teams
+      .filter((t) => projection.teams[t.id])
+      .sort((a, b) => {
+        const va = col.value(a, projection.teams[a.id]),
+          vb = col.value(b, projection.teams[b.id]);
+        const cmp = col.text ? String(va).localeCompare(String(vb)) : va - vb;
+        return cmp * projectionSort.dir;
+      });
+    html += `<div class="card"><table><thead><tr>`;
+    for (const c of PROJECTION_COLUMNS) {
+      const arrow =
+        c.key === projectionSort.key ? (projectionSort.dir > 0 ? " ▲" : " ▼") : "";
+      html += `<th class="sortable${c.text ? "" : " mono"}" data-sort="${c.key}">${c.label}${arrow}</th>`;
+    }
+    html += `</tr></thead><tbody>`;
+    const fmtPct = (x) => {
+      const v = (x / n) * 100;
+      return v === 0 ? "—" : v < 0.1 ? "<0.1" : v.toFixed(1);
+    };
+    for (const t of rows) {
+      const p = projection.teams[t.id];
+      html += `<tr><td>${t.name}</td><td>${t.conf}</td><td class="mono">${(p.w / n).toFixed(
+        1
+      )}-${(p.l / n).toFixed(1)}</td><td class="mono">${(p.cw / n).toFixed(1)}-${(
+        p.cl / n
+      ).toFixed(1)}</td>`;
+      for (const c of PROJECTION_COLUMNS.slice(4)) {
+        html += `<td class="mono">${
+          c.pct ? fmtPct(c.value(t, p)) : p.field ? c.value(t, p).toFixed(1) : "—"
+        }</td>`;
+      }
+      html += `</tr>`;
+    }
+    html += `</tbody></table></div>`;
+  } else {
+    html += `<div class="card">Run projections to play out the rest of the season thousands of times and see each team's odds. Your universe isn't changed.</div>`;
+  }
+  els.views.projections.innerHTML = html;
+  document.getElementById("runProjectionsBtn").addEventListener("click", () => {
+    if (U.games.length === 0) {
+      alert("Generate a schedule first.");
+      return;
+    }
+    runProjectionWorker(Number(document.getElementById("projectionIterations").value));
+  });
+  els.views.projections.querySelectorAll("th[data-sort]").forEach((th) => {
+    th.addEventListener("click", () => {
+      const key = th.getAttribute("data-sort");
+      const c = PROJECTION_COLUMNS.find((x) => x.key === key);
+      if (projectionSort.key === key) projectionSort.dir = -projectionSort.dir;
+      else projectionSort = { key, dir: c.text || c.lowFirst ? 1 : -1 };
+      renderProjections();
+    });
+  });
+}
+
+let leagueConf = "";
+
+// Runs an editor action, reporting a rejected edit instead of applying it.
+function editLeague(action) {
+  try {
+    act(U, action);
+  } catch (err) {
+    alert(err.message);
+  }
+  saveState(U);
+  renderAll();
+  setView("league");
+}
+
+// Sends each member of a dissolving conference to the smallest of the others,
+// strongest teams first.
+function dissolveMoves(conf) {
+  const by = groupByConference(U.teams);
+  const sizes = {};
+  for (const c of Object.keys(by)) if (c !== conf) sizes[c] = by[c].length;
+  const moves = {};
+  for (const t of by[conf].slice().sort((a, b) => b.rating - a.rating)) {
+    const dest = Object.keys(sizes).sort((a, b) => sizes[a] - sizes[b] || a.localeCompare(b))[0];
+    moves[t.id] = dest;
+    sizes[dest]++;
+  }
+  return moves;
+}
+
+function renderLeague() {
+  const by = groupByConference(U.teams);
+  const confs = Object.keys(by).sort();
+  if (leagueConf && !by[leagueConf]) leagueConf = "";
+  const open = U.games.length === 0;
+  const lock = open ? "" : " disabled";
+  let html = `<div class="card">`;
+  html += open
+    ? `<p>Realignment is open until the schedule is generated. Every conference needs at least ${MIN_CONF_TEAMS} teams.</p>`
+    : `<p>Conferences are locked for the ${U.year} season. Names and ratings can still be edited; realignment reopens after <em>Advance to Next Season</em>.</p>`;
+  html += `<p>Changing a rating moves the team's whole roster up or down with it, so it counts from the next game played.</p>`;
+  html += `<table><thead><tr><th>Conference</th><th class="mono">Teams</th><th class="mono">Avg Rtg</th><th></th></tr></thead><tbody>`;
+  for (const conf of confs) {
+    const avg = by[conf].reduce((s, t) => s + t.rating, 0) / by[conf].length;
+    html += `<tr data-conf="${encodeURIComponent(conf)}"><td>${conf}</td><td class="mono">${
+      by[conf].length
+    }</td><td class="mono">${avg.toFixed(1)}</td><td>${["Rename", "Merge", "Dissolve"]
+      .map((a) => `<button data-action="${a.toLowerCase()}"${lock}>${a}</button>`)
+      .join(" ")}</td></tr>`;
+  }
+  html += `</tbody></table></div>`;
+
+  html += `<div class="card"><label>Conference <select id="leagueConfSelect"><option value="">All</option>${confs
+    .map((c) => `<option${c === leagueConf ? " selected" : ""}>${c}</option>`)
+    .join("")}</select></label> <button id="newConfBtn"${lock}>New Conference from Selected</button>`;
+  html += `<table><thead><tr><th></th><th>School</th><th>Nickname</th><th>Conference</th><th>Region</th><th class="mono">Rating</th></tr></thead><tbody>`;
+  const teams = U.teams
+    .filter((t) => !leagueConf || t.conf === leagueConf)
+    .sort((a, b) => a.conf.localeCompare(b.conf) || a.school.localeCompare(b.school));
+  for (const t of teams) {
+    html += `<tr data-team="${t.id}"><td><input type="checkbox" class="team-pick"${lock}></td>`;
+    html += `<td><input type="text" data-field="school" value="${escapeHTML(t.school)}"></td>`;
+    html += `<td><input type="text" data-field="nickname" value="${escapeHTML(t.nickname)}"></td>`;
+    html += `<td><select data-field="conf"${lock}>${confs
+      .map((c) => `<option${c === t.conf ? " selected" : ""}>${c}</option>`)
+      .join("")}</select></td>`;
+    html += `<td><select data-field="region">${Object.keys(HOME_REGIONS)
+      .map((r) => `<option${r === t.region ? " selected" : ""}>${r}</option>`)
+      .join("")}</select></td>`;
+    html += `<td><input type="number" data-field="rating" min="30" max="95" value="${t.rating}"></td></tr>`;
+  }
+  html += `</tbody></table></div>`;
+  els.views.league.innerHTML = html;
+
+  document.getElementById("leagueConfSelect").addEventListener("change", (e) => {
+    leagueConf = e.target.value;
+    renderLeague();
+  });
+  document.getElementById("newConfBtn").addEventListener("click", () => {
+    const teamIds = [...els.views.league.querySelectorAll(".team-pick:checked")].map((box) =>
+      Number(box.closest("tr").getAttribute("data-team"))
+    );
+    const name = prompt(`Name for a new conference of ${teamIds.length} selected team(s):`, "");
+    if (!name) return;
+    editLeague({ type: "createConference", name: name.trim(), teamIds });
+  });
+  els.views.league.querySelectorAll("tr[data-team] [data-field]").forEach((input) => {
+    input.addEventListener("change", () => {
+      const field = input.getAttribute("data-field");
+      const id = Number(input.closest("tr").getAttribute("data-team"));
+      const value = field === "rating" ? Number(input.value) : input.value;
+      editLeague({ type: "editTeam", id, changes: { [field]: value } });
+    });
+  });
+  els.views.league.querySelectorAll("tr[data-conf] button").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const conf = decodeURIComponent(btn.closest("tr").getAttribute("data-conf"));
+      const action = btn.getAttribute("data-action");
+      if (action === "rename") {
+        const to = prompt(`Rename ${conf} to:`, conf);
+        if (to && to.trim() !== conf) {
+          editLeague({ type: "renameConference", from: conf, to: to.trim() });
+        }
+      } else if (action === "merge") {
+        const others = confs.filter((c) => c !== conf).join(", ");
+        const into = prompt(`Merge ${conf} into which conference?\n${others}`);
+        if (into) editLeague({ type: "mergeConferences", from: conf, into: into.trim() });
+      } else {
+        const moves = dissolveMoves(conf);
+        const list = by[conf].map((t) => `${t.name} → ${moves[t.id]}`).join("\n");
+        if (confirm(`Dissolve ${conf}? Its teams move to the smallest conferences:\n${list}`)) {
+          editLeague({ type: "dissolveConference", conf, moves });
+        }
+      }
+    });
+  });
+}
+
+let rosterTeamId = null;
+
+function renderRoster() {
+  const teams = U.teams.slice().sort((a, b) => a.name.localeCompare(b.name));
+  const team = teamById(U, rosterTeamId) || teams[0];
+  rosterTeamId = team.id;
+  let html = `<div class="card"><label>Team <select id="rosterTeamSelect">`;
+  for (const t of teams) {
+    html += `<option value="${t.id}"${t.id === team.id ? " selected" : ""}>${t.name}</option>`;
+  }
+  html += `</select></label> <span class="badge">Strength ${teamStrength(team).toFixed(
+    1
+  )}</span></div>`;
+  const rot = new Set(rotation(team).map((p) => p.id));
+  html += `<div class="card"><table><thead><tr><th>Player</th><th>Pos</th><th>Cls</th><th>Ht</th><th class="mono">Ovr</th><th class="mono">Pot</th><th class="mono">SHT</th><th class="mono">INS</th><th class="mono">PAS</th><th class="mono">DEF</th><th class="mono">REB</th><th class="mono">ATH</th></tr></thead><tbody>`;
+  for (const p of team.roster.slice().sort((a, b) => b.ovr - a.ovr)) {
+    const a = p.attrs;
+    html += `<tr><td>${p.name}${rot.has(p.id) ? "" : ` <span class="badge">bench</span>`}</td><td>${
+      p.pos
+    }</td><td>${p.cls}</td><td class="mono">${formatHeight(p.height)}</td><td class="mono">${p.ovr.toFixed(
+      0
+    )}</td><td class="mono">${p.pot}</td><td class="mono">${a.sht}</td><td class="mono">${
+      a.ins
+    }</td><td class="mono">${a.pas}</td><td class="mono">${a.def}</td><td class="mono">${
+      a.reb
+    }</td><td class="mono">${a.ath}</td></tr>`;
+  }
+  html += `</tbody></table></div>`;
+  els.views.roster.innerHTML = html;
+  document.getElementById("rosterTeamSelect").addEventListener("change", (e) => {
+    rosterTeamId = Number(e.target.value);
+    renderRoster();
+  });
+}
+
+let historyYear = null;
+
+function renderHistory() {
+  if (U.history.length === 0) {
+    els.views.history.innerHTML = `<div class="card">No archived seasons yet. Finish a season and click <em>Advance to Next Season</em>.</div>`;
+    return;
+  }
+  const season =
+    U.history.find((h) => h.year === historyYear) || U.history[U.history.length - 1];
+  historyYear = season.year;
+  const nameOf = (id) => season.names[id] ?? `Team ${id}`;
+  let html = `<div class="card"><label>Season <select id="historyYearSelect">`;
+  for (const h of U.history.slice().reverse()) {
+    html += `<option value="${h.year}"${h.year === season.year ? " selected" : ""}>${
+      h.year
+    }${h.champion != null ? ` — ${nameOf(h.champion)}` : ""}</option>`;
+  }
+  html += `</select></label>`;
+  if (season.champion != null) {
+    html += ` <span class="badge">National Champion: ${nameOf(season.champion)}</span>`;
+  }
+  html += `</div>`;
+  const champConfs = Object.keys(season.confChamps).sort();
+  if (champConfs.length) {
+    html += `<div class="card"><h3>Conference Tournament Champions</h3><table><tbody>`;
+    for (const conf of champConfs) {
+      html += `<tr><td>${conf}</td><td>${nameOf(season.confChamps[conf])}</td></tr>`;
+    }
+    html += `</tbody></table></div>`;
+  }
+  html += `<h3>Final Standings</h3>` + standingsHTML(season.standings, nameOf);
+  if (season.bracket && season.bracket.rounds.length) {
+    html +=
+      `<h3>National Tournament</h3>` +
+      bracketHTML(season.bracket, nameOf, `h|${season.year}`);
+  }
+  for (const key of ["nit", "cbi"]) {
+    const b = season[key];
+    if (b && b.rounds.length) {
+      html += `<h3>${b.name}</h3>` + bracketHTML(b, nameOf, `hp|${season.year}|${key}`);
+    }
+  }
+  els.views.history.innerHTML = html;
+  document.getElementById("historyYearSelect").addEventListener("change", (e) => {
+    historyYear = Number(e.target.value);
+    renderHistory();
+  });
+}
+
+const ACTION_LABELS = {
+  schedule: "Generate Schedule",
+  simRegularSeason: "Sim Regular Season",
+  confTournaments: "Conference Tournaments",
+  buildConfTournaments: "Build Conference Tournaments",
+  simConfRound: "Sim Conference Round",
+  editTeam: "Edit Team",
+  createConference: "New Conference",
+  renameConference: "Rename Conference",
+  mergeConferences: "Merge Conferences",
+  dissolveConference: "Dissolve Conference",
+  selection: "Build Bracket",
+  simBracket: "National Tournament",
+  simSecondary: "NIT & CBI",
+  setCbiEnabled: "CBI On/Off",
+};
+
+function actionLabel(year, action) {
+  if (action.type === "simToDay") return `Sim to ${formatDay(year, action.day)}`;
+  if (action.type === "setConfFormat") return `${action.conf} Tournament Format`;
+  return ACTION_LABELS[action.type] || action.type;
+}
+
+function renderTimeline() {
+  let html = `<div class="card"><button id="timelineUndoBtn">Undo Last Action</button> <button id="timelineSnapshotBtn">Save Snapshot As…</button></div>`;
+  for (const season of timelineSeasons(U).reverse()) {
+    const year = season.start.year;
+    const current = year === U.year;
+    const log = season.log;
+    html += `<div class="card"><h3>Season ${year}</h3><table><tbody>`;
+    for (let at = log.length; at >= 0; at--) {
+      let label;
+      if (at < log.length) label = `Before ${actionLabel(year, log[at])}`;
+      else label = current ? "Now" : "End of season, before advancing";
+      if (at === 0 && log.length) label += " (season start)";
+      const marks = season.marks
+        .filter((m) => m.at === at)
+        .map((m) => ` <span class="badge">${escapeHTML(m.label)}</span>`)
+        .join("");
+      const button =
+        current && at === log.length ? "" : `<button data-rewind="${year}|${at}">Rewind</button>`;
+      html += `<tr><td class="mono">${at}</td><td>${label}${marks}</td><td>${button}</td></tr>`;
+    }
+    html += `</tbody></table></div>`;
+  }
+  els.views.timeline.innerHTML = html;
+  document.getElementById("timelineUndoBtn").addEventListener("click", undoLastAction);
+  document.getElementById("timelineSnapshotBtn").addEventListener("click", saveSnapshotAs);
+  els.views.timeline.querySelectorAll("button[data-rewind]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const [year, at] = btn.getAttribute("data-rewind").split("|").map(Number);
+      if (!confirm(`Rewind to this point of ${year}? Everything after it is discarded.`)) return;
+      rewindTo(year, at);
+      setView("timeline");
+    });
+  });
+}
+
+function escapeHTML(s) {
+  return String(s).replace(
+    /[&<>"]/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]
+  );
+}
+
+const SLOT_ACTIONS = ["Load", "Rename", "Duplicate", "Export", "Import", "Delete"];
+
+async function renderSaves() {
+  const slots = await listSlots();
+  let html = `<div class="card"><button id="newSlotBtn">New Slot</button> <button id="importSlotBtn">Import into New Slot</button></div>`;
+  html += `<div class="card"><table><thead><tr><th>Slot</th><th>Season</th><th>Phase</th><th>Champion</th><th>Last Played</th><th></th></tr></thead><tbody>`;
+  for (const s of slots) {
+    const sum = s.summary || {};
+    const current = s.id === currentSlotId;
+    html += `<tr data-slot="${s.id}"><td>${escapeHTML(s.name)}${
+      current ? ` <span class="badge">Current</span>` : ""
+    }</td><td class="mono">${sum.year ?? "—"}</td><td>${sum.phase ?? "—"}</td><td>${
+      sum.champion ?? "—"
+    }</td><td>${new Date(s.lastPlayed).toLocaleString()}</td><td>${SLOT_ACTIONS.map(
+      (a) =>
+        `<button data-action="${a.toLowerCase()}"${
+          current && a === "Load" ? " disabled" : ""
+        }>${a}</button>`
+    ).join(" ")}</td></tr>`;
+  }
+  html += `</tbody></table></div>`;
+  els.views.saves.innerHTML = html;
+  document.getElementById("newSlotBtn").addEventListener("click", async () => {
+    const name = prompt("Name for the new save slot:", "New League");
+    if (!name || !name.trim()) return;
+    await startInNewSlot(name.trim(), await freshUniverse());
+  });
+  document.getElementById("importSlotBtn").addEventListener("click", () => {
+    importTargetSlot = null;
+    els.fileInput.click();
+  });
+  els.views.saves.querySelectorAll("button[data-action]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const id = btn.closest("tr").getAttribute("data-slot");
+      slotAction(btn.getAttribute("data-action"), id).catch((err) => {
+        console.error(err);
+        alert(err.message);
+      });
+    });
+  });
+}
+
+// The slot's save text, taking the in-memory universe for the current slot.
+async function slotData(id) {
+  await saveChain;
+  return id === currentSlotId ? serializeSave(U) : readSlotData(id);
+}
+
+async function slotAction(action, id) {
+  const slot = await getSlot(id);
+  if (!slot) return;
+  if (action === "load") {
+    try {
+      await openSlot(id);
+    } catch (err) {
+      alert(`Couldn't open "${slot.name}". Your current universe is unchanged.\n\n${err.message}`);
+    }
+  } else if (action === "rename") {
+    const name = prompt("Rename save slot:", slot.name);
+    if (!name || !name.trim()) return;
+    slot.name = name.trim();
+    await putSlot(slot);
+    renderSaves();
+  } else if (action === "duplicate") {
+    await createSlot(`${slot.name} (copy)`, await slotData(id), slot.summary);
+    renderSaves();
+  } else if (action === "export") {
+    downloadSave(await slotData(id), slot.name);
+  } else if (action === "import") {
+    if (!confirm(`Replace the universe in "${slot.name}" with one from a file?`)) return;
+    importTargetSlot = id;
+    els.fileInput.click();
+  } else if (action === "delete") {
+    if (!confirm(`Delete save slot "${slot.name}"? This can't be undone.`)) return;
+    await saveChain;
+    await removeSlot(id);
+    if (id === currentSlotId) {
+      currentSlotId = null;
+      await buildOrLoad();
+    } else {
+      renderSaves();
+    }
+  }
+}
+
+// Refs: "s|<idx>" schedule, "c|<conf>|<round>|<idx>" conference tournament,
+// "b|<round>|<idx>" national bracket, "h|<year>|<round>|<idx>" archived bracket
+// (round "ff" is the First Four), "p|<nit|cbi>|<round>|<idx>" NIT or CBI and
+// "hp|<year>|<nit|cbi>|<round>|<idx>" an archived one.
+function gameByRef(ref) {
+  const parts = ref.split("|");
+  if (parts[0] === "s") {
+    return { game: U.games[Number(parts[1])], nameOf: (id) => teamById(U, id).name };
+  }
+  if (parts[0] === "c") {
+    const rounds = U.confTournaments[decodeURIComponent(parts[1])];
+    return {
+      game: rounds[Number(parts[2])][Number(parts[3])],
+      nameOf: (id) => teamById(U, id).name,
+    };
+  }
+  const bracketGame = (b, r, i) =>
+    (r === "ff" ? b.firstFour : b.rounds[Number(r)])[Number(i)];
+  if (parts[0] === "b") {
+    return {
+      game: bracketGame(U.bracket, parts[1], parts[2]),
+      nameOf: (id) => teamById(U, id).name,
+    };
+  }
+  if (parts[0] === "p") {
+    return {
+      game: bracketGame(U[parts[1]], parts[2], parts[3]),
+      nameOf: (id) => teamById(U, id).name,
+    };
+  }
+  const season = U.history.find((h) => h.year === Number(parts[1]));
+  if (parts[0] === "hp") {
+    return {
+      game: bracketGame(season[parts[2]], parts[3], parts[4]),
+      nameOf: (id) => season.names[id] ?? `Team ${id}`,
+    };
+  }
+  return {
+    game: bracketGame(season.bracket, parts[2], parts[3]),
+    nameOf: (id) => season.names[id] ?? `Team ${id}`,
+  };
+}
+
+function pct(made, att) {
+  return att ? ((made / att) * 100).toFixed(1) : "—";
+}
+
+let teamPageId = null;
+let h2hOpponentId = null;
+
+function teamLink(id, name = teamById(U, id).name) {
+  return `<a href="#" class="team-link" data-team="${id}">${name}</a>`;
+}
+
+function recordText(games, id) {
+  const w = games.filter((e) => winnerId(e.game) === id).length;
+  return `${w}-${games.length - w}`;
+}
+
+// How a team's run in one postseason event went, from its games in it.
+function postseasonLine(id, games, seed, champion) {
+  const last = games[games.length - 1];
+  const g = last.game;
+  const oppId = g.homeId === id ? g.awayId : g.homeId;
+  let result;
+  if (champion === id) result = "Champion";
+  else if (!g.played) {
+    result = oppId == null ? "waiting on an opponent" : `plays ${teamLink(oppId)} next`;
+  } else if (winnerId(g) !== id) result = `lost to ${teamLink(oppId)} (${last.stage})`;
+  else result = "still alive";
+  const record = recordText(
+    games.filter((e) => e.game.played),
+    id
+  );
+  return `${seed ? `${seed} seed · ` : ""}${record} · ${result}`;
+}
+
+function renderTeamPage() {
+  const t = teamById(U, teamPageId);
+  if (!t) return;
+  const id = t.id;
+  const log = seasonGames(U).filter((e) => e.game.homeId === id || e.game.awayId === id);
+  const played = log.filter((e) => e.game.played);
+  const venueOf = (g) => (g.neutral ? "neutral" : g.homeId === id ? "home" : "away");
+  const oppOf = (g) => (g.homeId === id ? g.awayId : g.homeId);
+  const split = (test) => recordText(played.filter(test), id);
+
+  let streak = "—";
+  if (played.length) {
+    const won = winnerId(played[played.length - 1].game) === id;
+    let n = 0;
+    for (let i = played.length - 1; i >= 0 && (winnerId(played[i].game) === id) === won; i--) n++;
+    streak = `${won ? "W" : "L"}${n}`;
+  }
+  const ranked = (oid) => {
+    const o = teamById(U, oid);
+    return o.net > 0 && o.net <= 25;
+  };
+  const field = U.bracket ? U.bracket.seeds : null;
+  const pollRank = pollRanks(pollOn(U, U.day))[id];
+
+  let html = `<div class="card"><button id="teamBackBtn">← Back</button></div>`;
+  const coach = coachOf(U, t);
+  html += `<div class="card"><h3>${t.name}</h3><p><span class="badge">${t.conf}</span> ${t.w}-${
+    t.l
+  }${pollRank ? ` · No. ${pollRank} in the poll` : ""}${t.net ? ` · NET ${t.net}` : ""} · AdjEM ${adjEM(t).toFixed(1)}</p>`;
+  if (coach) {
+    html += `<p>Head coach ${coachLink(coach.id)} · since ${coach.hired} · ${seatBadge(coach)} · ${
+      coach.contract
+    } year(s) left on contract</p>`;
+  }
+  html += `<table><tbody>`;
+  const rows = [
+    ["Home", split((e) => venueOf(e.game) === "home")],
+    ["Away", split((e) => venueOf(e.game) === "away")],
+    ["Neutral", split((e) => venueOf(e.game) === "neutral")],
+    ["Conference (regular season)", split((e) => e.where[0] === "s" && e.game.conf)],
+    ["Non-conference", split((e) => e.where[0] === "s" && !e.game.conf)],
+    ["Streak", streak],
+    ["vs NET Top 25", split((e) => ranked(oppOf(e.game)))],
+  ];
+  if (field) rows.push(["vs NCAA Tournament teams", split((e) => field[oppOf(e.game)])]);
+  for (const [label, value] of rows) {
+    html += `<tr><td>${label}</td><td class="mono">${value}</td></tr>`;
+  }
+  html += `</tbody></table></div>`;
+
+  const events = [];
+  const confGames = log.filter((e) => e.where[0] === "c");
+  if (confGames.length) {
+    const seed = (U.confSeeds[t.conf] || []).indexOf(id) + 1;
+    const line = postseasonLine(id, confGames, seed, confChampions(U)[t.conf]);
+    events.push([`${t.conf} Tournament`, line]);
+  }
+  for (const [name, b, test, champion] of [
+    ["NCAA Tournament", U.bracket, (e) => e.where[0] === "b", nationalChampion(U)],
+    ["NIT", U.nit, (e) => e.where[1] === "nit", eventChampion(U.nit)],
+    ["CBI", U.cbi, (e) => e.where[1] === "cbi", eventChampion(U.cbi)],
+  ]) {
+    const games = log.filter(test);
+    if (!games.length) continue;
+    events.push([name, postseasonLine(id, games, b.seeds[id] && b.seeds[id].seed, champion)]);
+  }
+  if (events.length) {
+    html += `<div class="card"><h3>Postseason</h3><table><tbody>${events
+      .map(([name, line]) => `<tr><td>${name}</td><td>${line}</td></tr>`)
+      .join("")}</tbody></table></div>`;
+  }
+
+  const signees = U.recruits.filter((p) => p.teamId === id).sort((a, b) => a.rank - b.rank);
+  html += `<div class="card"><h3>Recruiting Class</h3><p>${
+    openScholarships(U)[id]
+  } scholarship(s) still open for next season · home region ${t.region}</p>${
+    signees.length
+      ? `<table><tbody>${signees
+          .map(
+            (p) =>
+              `<tr><td class="mono">#${p.rank}</td><td>${recruitLine(p)}</td><td>${
+                p.region
+              }</td><td class="mono">${formatDay(U.year, p.day)}</td></tr>`
+          )
+          .join("")}</tbody></table>`
+      : "<p>No commitments yet.</p>"
+  }</div>`;
+
+  html += `<div class="card"><h3>Game Log</h3><table><thead><tr><th>Date</th><th>Event</th><th>Opponent</th><th>Result</th></tr></thead><tbody>`;
+  for (const e of log) {
+    const g = e.game;
+    const oid = oppOf(g);
+    const venue = { home: "vs", away: "@", neutral: "vs (N)" }[venueOf(g)];
+    const us = g.homeId === id ? g.homeScore : g.awayScore;
+    const them = g.homeId === id ? g.awayScore : g.homeScore;
+    const result = g.played ? `${winnerId(g) === id ? "W" : "L"} ${us}–${them}` : "—";
+    html += `<tr data-ref="${e.where.map(encodeURIComponent).join("|")}"><td>${
+      g.day != null ? formatDay(U.year, g.day) : "—"
+    }</td><td>${e.stage}</td><td>${venue} ${
+      oid == null ? "<em>TBD</em>" : teamLink(oid)
+    }</td><td class="mono">${result}</td></tr>`;
+  }
+  html += `</tbody></table></div>`;
+
+  const others = U.teams.filter((o) => o.id !== id).sort((a, b) => a.name.localeCompare(b.name));
+  if (!teamById(U, h2hOpponentId) || h2hOpponentId === id) h2hOpponentId = others[0] && others[0].id;
+  html += `<div class="card"><h3>Head to Head</h3><label>Opponent <select id="h2hSelect">${others
+    .map(
+      (o) => `<option value="${o.id}"${o.id === h2hOpponentId ? " selected" : ""}>${o.name}</option>`
+    )
+    .join("")}</select></label>`;
+  if (h2hOpponentId != null) {
+    const meetings = headToHead(U, id, h2hOpponentId);
+    const wins = meetings.filter((m) => (m.homeScore > m.awayScore ? m.homeId : m.awayId) === id);
+    html += `<p>${t.name} ${wins.length}-${meetings.length - wins.length} against ${
+      teamById(U, h2hOpponentId).name
+    } in saved results.</p>`;
+    if (meetings.length) {
+      html += `<table><thead><tr><th>Season</th><th>Date</th><th>Event</th><th>Site</th><th>Result</th></tr></thead><tbody>`;
+      for (const m of meetings.slice().reverse()) {
+        const site = m.neutral ? "Neutral" : m.homeId === id ? "Home" : "Away";
+        const us = m.homeId === id ? m.homeScore : m.awayScore;
+        const them = m.homeId === id ? m.awayScore : m.homeScore;
+        html += `<tr><td class="mono">${m.year}</td><td>${formatDay(m.year, m.day)}</td><td>${
+          m.stage
+        }</td><td>${site}</td><td class="mono">${us > them ? "W" : "L"} ${us}–${them}</td></tr>`;
+      }
+      html += `</tbody></table>`;
+    }
+  }
+  html += `</div>`;
+
+  els.views.team.innerHTML = html;
+  document.getElementById("teamBackBtn").addEventListener("click", () => setView(teamBackView));
+  document.getElementById("h2hSelect").addEventListener("change", (e) => {
+    h2hOpponentId = Number(e.target.value);
+    renderTeamPage();
+  });
+}
+
+let teamBackView = "teams";
+
+function openTeam(id, fromView) {
+  if (fromView !== "team") teamBackView = fromView;
+  teamPageId = id;
+  renderTeamPage();
+  setView("team");
+}
+
+let lastListView = "schedule";
+
+function renderGameDetail(ref) {
+  const { game: g, nameOf } = gameByRef(ref);
+  const H = g.homeId == null ? "TBD" : nameOf(g.homeId);
+  const A = g.awayId == null ? "TBD" : nameOf(g.awayId);
+  let html = `<div class="card"><button id="gameBackBtn">← Back</button></div>`;
+  html += `<div class="card"><h3>${A} ${g.neutral ? "vs" : "@"} ${H}${
+    g.neutral ? " (N)" : ""
+  }</h3>`;
+  const home = teamById(U, g.homeId);
+  const away = teamById(U, g.awayId);
+  if (!g.played && home && away) {
+    const p = pregameWinProb(U, g);
+    html += `<p>Not played yet. Pregame win probability: ${H} ${(p * 100).toFixed(0)}%, ${A} ${(
+      (1 - p) *
+      100
+    ).toFixed(0)}%.</p>${watchButton(g, ref)}`;
+  }
+  if (g.plays) html += `<button class="watch" data-replay="${ref}">Watch Replay</button>`;
+  if (g.played && !g.box) {
+    html += `<p class="mono">Final: ${A} ${g.awayScore}, ${H} ${g.homeScore}</p><p>No box score was recorded for this game.</p>`;
+  }
+  html += `</div>`;
+  if (g.box) {
+    const b = g.box;
+    const labels = b.home.periods.map((_, i) =>
+      i < 2 ? `${i + 1}H` : i === 2 ? "OT" : `${i - 1}OT`
+    );
+    html += `<div class="card"><table><thead><tr><th>Team</th>${labels
+      .map((l) => `<th class="mono">${l}</th>`)
+      .join("")}<th class="mono">T</th></tr></thead><tbody>`;
+    for (const [name, side] of [
+      [A, b.away],
+      [H, b.home],
+    ]) {
+      html += `<tr><td>${name}</td>${side.periods
+        .map((p) => `<td class="mono">${p}</td>`)
+        .join("")}<td class="mono"><strong>${side.pts}</strong></td></tr>`;
+    }
+    html += `</tbody></table><p class="mono">Pace: ${b.pace} possessions${
+      b.ot ? ` · ${b.ot} overtime${b.ot > 1 ? "s" : ""}` : ""
+    }</p></div>`;
+    html += `<div class="card"><table><thead><tr><th>Team</th><th class="mono">FG</th><th class="mono">FG%</th><th class="mono">3P</th><th class="mono">3P%</th><th class="mono">FT</th><th class="mono">FT%</th><th class="mono">OREB</th><th class="mono">DREB</th><th class="mono">REB</th><th class="mono">TO</th><th class="mono">PF</th></tr></thead><tbody>`;
+    for (const [name, t] of [
+      [A, b.away],
+      [H, b.home],
+    ]) {
+      html += `<tr><td>${name}</td><td class="mono">${t.fgm}-${t.fga}</td><td class="mono">${pct(
+        t.fgm,
+        t.fga
+      )}</td><td class="mono">${t.tpm}-${t.tpa}</td><td class="mono">${pct(
+        t.tpm,
+        t.tpa
+      )}</td><td class="mono">${t.ftm}-${t.fta}</td><td class="mono">${pct(
+        t.ftm,
+        t.fta
+      )}</td><td class="mono">${t.oreb}</td><td class="mono">${t.dreb}</td><td class="mono">${
+        t.oreb + t.dreb
+      }</td><td class="mono">${t.tov}</td><td class="mono">${t.pf}</td></tr>`;
+    }
+    html += `</tbody></table></div>`;
+  }
+  els.views.game.innerHTML = html;
+  document.getElementById("gameBackBtn").addEventListener("click", () => setView(lastListView));
+}
+
+// ---------- Live games ----------
+// Watching a game plays it right away (the "playGame" action keeps its
+// play-by-play), then replays the plays on a game clock.
+const LIVE_SPEEDS = [1, 4, 16, 64];
+const LIVE_MS_PER_SECOND = 100; // real ms per game second at 1x
+const LIVE_PLAY_TEXT = {
+  2: "makes a two",
+  3: "hits a three",
+  "2x": "misses a two",
+  "3x": "misses a three",
+  ft: "makes a free throw",
+  ftx: "misses a free throw",
+  tov: "turns it over",
+  foul: "commits a foul",
+  oreb: "grabs the offensive rebound",
+  dreb: "grabs the defensive rebound",
+};
+
+let live = null; // { ref, plays, pregame, shown, speed, paused, timer, backView }
+
+// Engine `where` for an app game ref; see gameByRef().
+function whereOfRef(ref) {
+  const parts = ref.split("|");
+  const round = (r) => (r === "ff" ? r : Number(r));
+  if (parts[0] === "s") return ["s", Number(parts[1])];
+  if (parts[0] === "c") {
+    return ["c", decodeURIComponent(parts[1]), Number(parts[2]), Number(parts[3])];
+  }
+  if (parts[0] === "b") return ["b", round(parts[1]), Number(parts[2])];
+  return ["p", parts[1], round(parts[2]), Number(parts[3])];
+}
+
+function watchButton(g, ref) {
+  return !g.played && g.homeId != null && g.awayId != null && ref[0] !== "h"
+    ? `<button class="watch" data-watch="${ref}">Watch</button>`
+    : "";
+}
+
+function periodName(period) {
+  return period === 0 ? "1st Half" : period === 1 ? "2nd Half" : period === 2 ? "OT" : `${period - 1}OT`;
+}
+
+function clockText(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+// Game seconds played before a play, counting overtime.
+function elapsedAt(period, clock) {
+  const start = period < 2 ? period * HALF_SECONDS : 2 * HALF_SECONDS + (period - 2) * OT_SECONDS;
+  return start + (period < 2 ? HALF_SECONDS : OT_SECONDS) - clock;
+}
+
+function watchGame(ref, fromView) {
+  try {
+    act(U, { type: "playGame", where: whereOfRef(ref) });
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  renderAll();
+  openLive(ref, fromView);
+}
+
+function openLive(ref, fromView) {
+  const { game: g } = gameByRef(ref);
+  stopLive();
+  live = {
+    ref,
+    plays: g.plays,
+    pregame: pregameWinProb(U, g),
+    shown: 0,
+    speed: 1,
+    paused: false,
+    timer: null,
+    backView: fromView,
+  };
+  renderLive();
+  setView("live");
+  scheduleLive();
+}
+
+function stopLive() {
+  if (live && live.timer) clearTimeout(live.timer);
+}
+
+function scheduleLive() {
+  if (live.paused || live.shown >= live.plays.length) return;
+  const next = live.plays[live.shown];
+  const prev = live.plays[live.shown - 1];
+  const gap = elapsedAt(next[0], next[1]) - (prev ? elapsedAt(prev[0], prev[1]) : 0);
+  const delay = Math.max(250, gap * LIVE_MS_PER_SECOND) / live.speed;
+  live.timer = setTimeout(() => {
+    live.shown++;
+    updateLive();
+    scheduleLive();
+  }, delay);
+}
+
+function renderLive() {
+  const { game: g, nameOf } = gameByRef(live.ref);
+  els.views.live.innerHTML = `<div class="card"><button id="liveBackBtn">← Back</button></div>
+    <div class="card"><h3>${nameOf(g.awayId)} ${g.neutral ? "vs" : "@"} ${nameOf(g.homeId)}${
+    g.neutral ? " (N)" : ""
+  }</h3>
+      <p class="live-score mono"><span id="liveScore"></span> · <span id="liveClock"></span></p>
+      <p><button id="livePauseBtn"></button>
+        <label>Speed <select id="liveSpeed">${LIVE_SPEEDS.map(
+          (s) => `<option value="${s}"${s === live.speed ? " selected" : ""}>${s}x</option>`
+        ).join("")}</select></label>
+        <button id="liveSkipBtn">Skip to End</button>
+        <button id="liveBoxBtn">Box Score</button></p></div>
+    <div class="card"><h3>Win Probability</h3><p id="liveWPText"></p>
+      <svg class="live-wp" viewBox="0 0 400 100" preserveAspectRatio="none">
+        <line x1="0" y1="50" x2="400" y2="50" class="live-wp-mid"></line>
+        <polyline id="liveWPLine" fill="none"></polyline>
+      </svg></div>
+    <div class="card"><h3>Play-by-Play</h3><div id="livePlays"></div></div>`;
+  document.getElementById("liveBackBtn").addEventListener("click", () => {
+    stopLive();
+    setView(live.backView);
+  });
+  document.getElementById("livePauseBtn").addEventListener("click", () => {
+    live.paused = !live.paused;
+    stopLive();
+    updateLive();
+    scheduleLive();
+  });
+  document.getElementById("liveSpeed").addEventListener("change", (e) => {
+    live.speed = Number(e.target.value);
+    stopLive();
+    scheduleLive();
+  });
+  document.getElementById("liveSkipBtn").addEventListener("click", () => {
+    stopLive();
+    live.shown = live.plays.length;
+    updateLive();
+  });
+  document.getElementById("liveBoxBtn").addEventListener("click", () => {
+    stopLive();
+    lastListView = live.backView;
+    renderGameDetail(live.ref);
+    setView("game");
+  });
+  updateLive();
+}
+
+function updateLive() {
+  const { game: g } = gameByRef(live.ref);
+  const home = teamById(U, g.homeId);
+  const away = teamById(U, g.awayId);
+  const shown = live.plays.slice(0, live.shown);
+  const last = shown[shown.length - 1];
+  const done = live.shown >= live.plays.length;
+  const [homePts, awayPts] = last ? [last[4], last[5]] : [0, 0];
+  document.getElementById("liveScore").textContent = `${away.school} ${awayPts}, ${home.school} ${homePts}`;
+  document.getElementById("liveClock").textContent = done
+    ? `Final${last[0] > 1 ? ` (${periodName(last[0])})` : ""}`
+    : last
+    ? `${periodName(last[0])} ${clockText(last[1])}`
+    : `${periodName(0)} ${clockText(HALF_SECONDS)}`;
+  const pause = document.getElementById("livePauseBtn");
+  pause.textContent = live.paused ? "Play" : "Pause";
+  pause.disabled = done;
+
+  const points = [[0, live.pregame]];
+  for (const [period, clock, , , h, a] of shown) {
+    points.push([elapsedAt(period, clock), liveWinProb(live.pregame, h - a, secondsLeft(period, clock))]);
+  }
+  if (done) points.push([points[points.length - 1][0], homePts > awayPts ? 1 : 0]);
+  const span = Math.max(2 * HALF_SECONDS, points[points.length - 1][0]);
+  document
+    .getElementById("liveWPLine")
+    .setAttribute(
+      "points",
+      points.map(([x, p]) => `${((x / span) * 400).toFixed(1)},${((1 - p) * 100).toFixed(1)}`).join(" ")
+    );
+  const wp = points[points.length - 1][1];
+  document.getElementById("liveWPText").textContent = `${home.school} ${(wp * 100).toFixed(0)}% · ${
+    away.school
+  } ${((1 - wp) * 100).toFixed(0)}%`;
+
+  const sides = [home.school, away.school];
+  document.getElementById("livePlays").innerHTML = shown
+    .slice()
+    .reverse()
+    .map(([period, clock, side, type, h, a]) => {
+      const text =
+        type === "end"
+          ? `End of ${period === 0 ? "1st half" : period === 1 ? "regulation" : periodName(period)}`
+          : `${sides[side]} ${LIVE_PLAY_TEXT[type]}`;
+      return `<div class="game"><span><span class="mono">${periodName(period)} ${clockText(
+        clock
+      )}</span> ${text}</span><span class="mono">${a}–${h}</span></div>`;
+    })
+    .join("");
+}
+
+function renderSeasonLabel() {
+  document.getElementById("seasonLabel").textContent = `Season ${U.year} · ${formatDay(
+    U.year,
+    U.day
+  )}`;
+}
+
+function setView(name) {
+  for (const key of Object.keys(els.views)) {
+    els.views[key].classList.remove("active");
+  }
+  const el = els.views[name];
+  if (el) el.classList.add("active");
+}
+
+// ---------- Static CSV Mode & Exporter ----------
+function isStaticCsvMode() {
+  const el = document.getElementById("staticCsvMode");
+  return el && el.checked;
+}
+if (document.getElementById("staticCsvMode")) {
+  document.getElementById("staticCsvMode").addEventListener("change", () => {
+    localStorage.setItem("cbbgm_static_csv_mode", isStaticCsvMode() ? "1" : "0");
+  });
+  const savedFlag = localStorage.getItem("cbbgm_static_csv_mode");
+  if (savedFlag === "1") document.getElementById("staticCsvMode").checked = true;
+}
+
+async function exportTeamsCSV(teams) {
+  const header = "School,Nickname,Conference,Rating,Region";
+  const lines = teams.map((t) => {
+    const esc = (s) => `"${String(s ?? "").replace(/"/g, '""')}"`;
+    return [esc(t.school), esc(t.nickname), esc(t.conf), t.rating, esc(t.region)].join(",");
+  });
+  const csv = [header, ...lines].join("\n");
+  const blob = new Blob([csv], { type: "text/csv" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "teams.csv";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// ---------- Bootstrap / Actions ----------
+// A new universe from data/teams.csv, seeded from the Seed box.
+async function freshUniverse() {
+  const rows = await loadTeamsCSV();
+  const seedInput = document.getElementById("seedInput");
+  const useStatic = localStorage.getItem("cbbgm_static_csv_mode") === "1";
+  return new Universe(
+    rows,
+    seedInput.value || (useStatic ? "static-csv" : "default"),
+    programFromInput(rows)
+  );
+}
+
+// Makes a slot's universe current. Throws, leaving U alone, if it won't load.
+async function openSlot(id) {
+  await saveChain;
+  const data = await readSlotData(id);
+  if (data == null) throw new Error("This slot has no saved universe.");
+  U = loadSave(data);
+  setCurrentSlot(id);
+  renderAll();
+}
+
+async function startInNewSlot(name, u) {
+  await saveChain;
+  const slot = await createSlot(name, serializeSave(u), slotSummary(u));
+  U = u;
+  setCurrentSlot(slot.id);
+  renderAll();
+}
+
+async function buildOrLoad() {
+  await migrateLegacySave();
+  const slots = await listSlots();
+  const preferred = localStorage.getItem(CURRENT_SLOT_KEY);
+  const slot = slots.find((s) => s.id === preferred) || slots[0];
+  if (slot) {
+    try {
+      await openSlot(slot.id);
+      return;
+    } catch (err) {
+      console.error(err);
+      alert(
+        `Couldn't open save slot "${slot.name}", so a new slot was started. The old slot is untouched; you can export it from Saves.\n\n${err.message}`
+      );
+    }
+  }
+  await startInNewSlot(slots.length ? "New League" : "Main", await freshUniverse());
+}
+
+function downloadSave(data, name) {
+  const blob = new Blob([data], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${name.replace(/[^\w-]+/g, "-").toLowerCase() || "cbbgm-save"}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+function renderAll() {
+  renderTeams();
+  renderStandings();
+  renderSchedule();
+  renderEvents();
+  renderConfTournaments();
+  renderBracket();
+  renderSecondary();
+  renderRatings();
+  renderPoll();
+  renderRecruiting();
+  renderPortal();
+  renderCoaches();
+  renderGM();
+  renderFinances();
+  renderBubble();
+  renderProjections();
+  renderRoster();
+  renderLeague();
+  renderHistory();
+  renderTimeline();
+  renderSeasonLabel();
+  renderTeamPage();
+  setView("teams");
+  saveState(U).then(renderSaves);
+}
+
+// Header buttons
+document.getElementById("newGameBtn").addEventListener("click", async () => {
+  if (
+    !confirm(
+      "Start a fresh universe? This will overwrite the current save slot (export first if needed)."
+    )
+  )
+    return;
+  U = await freshUniverse();
+  saveState(U);
+  renderAll();
+});
+
+document.getElementById("exportBtn").addEventListener("click", async () => {
+  const slot = await getSlot(currentSlotId);
+  downloadSave(serializeSave(U), slot ? slot.name : "cbbgm-save");
+});
+
+// Slot whose universe the next imported file replaces; null imports into a
+// new slot.
+let importTargetSlot = null;
+document.getElementById("importBtn").addEventListener("click", () => {
+  importTargetSlot = null;
   els.fileInput.click();
 });
 els.fileInput.addEventListener("change", async (e) => {
   const file = e.target.files[0];
   if (!file) return;
   const text = await file.text();
+  e.target.value = "";
+  let u;
   try {
-    const obj = JSON.parse(text);
-    U = revive(obj);
-    saveState(U);
-    renderAll();
+    u = loadSave(text);
   } catch (err) {
-    alert("Invalid save file.");
+    alert(`Couldn't import ${file.name}. Nothing was changed.\n\n${err.message}`);
+    return;
+  }
+  const target = importTargetSlot && (await getSlot(importTargetSlot));
+  if (!target) {
+    await startInNewSlot(file.name.replace(/\.json$/i, ""), u);
+    return;
+  }
+  await saveChain;
+  target.lastPlayed = Date.now();
+  target.summary = slotSummary(u);
+  await putSlot(target, serializeSave(u));
+  if (target.id === currentSlotId) {
+    U = u;
+    renderAll();
+  } else {
+    renderSaves();
   }
 });
 
+document.getElementById("verifyReplayBtn").addEventListener("click", () => {
+  const res = verifyReplay(U);
+  alert(
+    res.ok
+      ? `Replay matches: re-running ${res.actions} action(s) from the start of the season reproduces this save exactly.`
+      : `Replay diverged at ${res.diff}.`
+  );
+});
+
 document.getElementById("loadTeamsBtn").addEventListener("click", async () => {
   if (!confirm("Reload teams from data/teams.csv? This resets the universe.")) return;
   const rows = await loadTeamsCSV();
   const seedInput = document.getElementById("seedInput");
-  U = new Universe(rows, seedInput.value || "default");
+  U = new Universe(rows, seedInput.value || "default", programFromInput(rows));
   saveState(U);
   renderAll();
 });
@@ -863,6 +2857,34 @@ document.getElementById("exportTeamsBtn").addEventListener("click", () => {
   exportTeamsCSV(U.teams);
 });
 
+document.getElementById("content").addEventListener("click", (e) => {
+  const watch = e.target.closest("[data-watch], [data-replay]");
+  if (watch) {
+    const from = watch.closest(".view").id.replace("view-", "");
+    const back = from === "game" ? lastListView : from;
+    if (watch.hasAttribute("data-watch")) watchGame(watch.getAttribute("data-watch"), back);
+    else openLive(watch.getAttribute("data-replay"), back);
+    return;
+  }
+  const coach = e.target.closest("[data-coach]");
+  if (coach) {
+    e.preventDefault();
+    openCoach(Number(coach.getAttribute("data-coach")));
+    return;
+  }
+  const link = e.target.closest("a.team-link[data-team]");
+  if (link) {
+    e.preventDefault();
+    openTeam(Number(link.getAttribute("data-team")), link.closest(".view").id.replace("view-", ""));
+    return;
+  }
+  const row = e.target.closest("[data-ref]");
+  if (!row) return;
+  lastListView = row.closest(".view").id.replace("view-", "");
+  renderGameDetail(row.getAttribute("data-ref"));
+  setView("game");
+});
+
 document
   .querySelectorAll('aside .panel button[data-view]')
   .forEach((btn) => {
@@ -871,36 +2893,151 @@ document
 
 document.getElementById("genScheduleBtn").addEventListener("click", () => {
   const rr = document.getElementById("rrMode").value;
-  const nc = parseInt(document.getElementById("nonConfInput").value, 10) || 8;
-  generateSchedule(U, rr, nc);
+  const nc = parseInt(document.getElementById("nonConfInput").value, 10);
+  try {
+    act(U, { type: "schedule", mode: rr, nonConf: Number.isNaN(nc) ? 8 : nc });
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
   saveState(U);
   renderAll();
   setView("schedule");
 });
+function simCalendar(target) {
+  if (U.games.length === 0) {
+    alert("Generate a schedule first.");
+    return;
+  }
+  act(U, { type: "simToDay", day: target });
+  saveState(U);
+  renderAll();
+  setView("standings");
+}
+document.getElementById("simDayBtn").addEventListener("click", () => simCalendar(U.day + 1));
+document.getElementById("simWeekBtn").addEventListener("click", () => simCalendar(U.day + 7));
+document.getElementById("simToConfBtn").addEventListener("click", () =>
+  simCalendar(seasonCalendar(U.year).confStart)
+);
+document.getElementById("simToSelectionBtn").addEventListener("click", () =>
+  simCalendar(seasonCalendar(U.year).selectionSunday)
+);
 document.getElementById("simRegularBtn").addEventListener("click", () => {
-  simRegularSeason(U);
+  act(U, { type: "simRegularSeason" });
   saveState(U);
   renderAll();
   setView("standings");
 });
+// Round-by-round conference play needs a finished regular season.
+function regularSeasonDone() {
+  if (U.games.length > 0 && U.games.every((g) => g.played)) return true;
+  alert("Finish the regular season first.");
+  return false;
+}
+document.getElementById("buildConfTournamentsBtn").addEventListener("click", () => {
+  if (!regularSeasonDone()) return;
+  const started = Object.values(U.confTournaments).some((rounds) =>
+    rounds.some((games) => games.some((g) => g.played))
+  );
+  if (started) {
+    alert("The conference tournaments are already under way.");
+    return;
+  }
+  act(U, { type: "buildConfTournaments" });
+  saveState(U);
+  renderAll();
+  setView("tournaments");
+});
+document.getElementById("simConfRoundBtn").addEventListener("click", () => {
+  if (!regularSeasonDone()) return;
+  if (confTournamentsComplete(U)) {
+    alert("The conference tournaments are finished.");
+    return;
+  }
+  act(U, { type: "simConfRound" });
+  saveState(U);
+  renderAll();
+  setView("tournaments");
+});
 document.getElementById("simTournamentsBtn").addEventListener("click", () => {
-  buildConfTournaments(U);
+  act(U, { type: "confTournaments" });
   saveState(U);
   renderAll();
   setView("tournaments");
 });
 document.getElementById("buildBracketBtn").addEventListener("click", () => {
-  buildNationalBracket(U);
+  act(U, { type: "selection" });
   saveState(U);
   renderAll();
   setView("bracket");
 });
 document.getElementById("simBracketBtn").addEventListener("click", () => {
-  simBracket(U);
+  act(U, { type: "simBracket" });
   saveState(U);
   renderAll();
   setView("bracket");
 });
+document.getElementById("simSecondaryBtn").addEventListener("click", () => {
+  if (!U.nit) {
+    alert("Build the bracket first; the NIT field is picked with it.");
+    return;
+  }
+  act(U, { type: "simSecondary" });
+  saveState(U);
+  renderAll();
+  setView("nit");
+});
+document.getElementById("portalBtn").addEventListener("click", () => {
+  if (nationalChampion(U) == null || !secondaryTournamentsComplete(U)) {
+    alert("The transfer portal opens once the national tournament, NIT and CBI are over.");
+    return;
+  }
+  if (!portalOpen(U)) {
+    act(U, { type: "transferPortal" });
+    saveState(U);
+    renderAll();
+  }
+  setView("portal");
+});
+document.getElementById("advanceSeasonBtn").addEventListener("click", () => {
+  if (
+    nationalChampion(U) == null &&
+    !confirm("The national tournament hasn't finished. Advance to next season anyway?")
+  )
+    return;
+  act(U, { type: "advanceSeason" });
+  historyYear = U.year - 1;
+  saveState(U);
+  renderAll();
+  setView("history");
+});
+
+function rewindTo(year, at) {
+  U = rewind(U, year, at);
+  saveState(U);
+  renderAll();
+}
+
+function undoLastAction() {
+  const target = undoTarget(U);
+  if (!target) {
+    alert("Nothing to undo.");
+    return;
+  }
+  rewindTo(target.year, target.count);
+  setView("timeline");
+}
+
+function saveSnapshotAs() {
+  const label = prompt("Snapshot name:", formatDay(U.year, U.day));
+  if (!label || !label.trim()) return;
+  markSnapshot(U, label.trim());
+  saveState(U);
+  renderTimeline();
+}
+
+document.getElementById("undoBtn").addEventListener("click", undoLastAction);
+document.getElementById("snapshotBtn").addEventListener("click", saveSnapshotAs);
 
 // Kick off
 buildOrLoad().catch((err) => {
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+// College Basketball GM — command-line runner
+// Builds or loads a universe with engine.js and sims it without a browser.
+//
+//   node cli.js --teams data/teams.csv --seed demo --standings --bracket
+//   node cli.js --load cbbgm-save.json --phase conf --save out.json
+//   node cli.js --seasons 5 --summary
+//
+// Saves written with --save can be loaded back with the web UI's Import.
+
+const fs = require("fs");
+const path = require("path");
+const {
+  Universe,
+  parseCSV,
+  loadSave,
+  serializeSave,
+  act,
+  verifyReplay,
+  groupByConference,
+  standingsForConf,
+  teamById,
+  adjEM,
+  bracketRounds,
+  roundLabel,
+  confChampions,
+  confTournamentsComplete,
+  secondaryTournamentsComplete,
+  nationalChampion,
+  eventChampion,
+} = require("./engine.js");
+
+const USAGE = `Usage: node cli.js [options]
+
+  --teams <file>      teams CSV to start from (default data/teams.csv)
+  --load <file>       continue from a save JSON instead of a CSV
+  --seed <text>       RNG seed for a new universe (default "cli")
+  --rr <mode>         conference round robin: single or double (default single)
+  --nonconf <n>       non-conference games per team (default 8)
+  --phase <phase>     sim through schedule, regular, conf, selection or
+                      bracket (default bracket, i.e. the full season)
+  --seasons <n>       sim n full seasons back to back (default 1)
+  --standings         print conference standings
+  --bracket           print national bracket results
+  --summary           print one line per season: national, NIT and conference champions
+  --save <file>       write a save JSON the web UI can import
+  --verify            replay the season from its seed and check it matches
+  --help              show this message
+`;
+
+const PHASES = ["schedule", "regular", "conf", "selection", "bracket"];
+
+function parseArgs(argv) {
+  const opts = {
+    teams: path.join(__dirname, "data", "teams.csv"),
+    load: null,
+    seed: "cli",
+    rr: "single",
+    nonconf: 8,
+    phase: "bracket",
+    seasons: 1,
+    standings: false,
+    bracket: false,
+    summary: false,
+    save: null,
+    verify: false,
+    help: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in opts) || !argv[i].startsWith("--")) {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+    if (typeof opts[key] === "boolean") {
+      opts[key] = true;
+      continue;
+    }
+    const value = argv[++i];
+    if (value == null) throw new Error(`Missing value for --${key}`);
+    opts[key] = typeof opts[key] === "number" ? parseInt(value, 10) : value;
+  }
+  if (!PHASES.includes(opts.phase)) throw new Error(`Unknown phase: ${opts.phase}`);
+  if (opts.rr !== "single" && opts.rr !== "double") throw new Error(`Unknown --rr: ${opts.rr}`);
+  if (!(opts.nonconf >= 0)) throw new Error("--nonconf must be a number");
+  if (!(opts.seasons >= 1)) throw new Error("--seasons must be at least 1");
+  if (opts.seasons > 1 && opts.phase !== "bracket") {
+    throw new Error("--seasons needs the full season (--phase bracket)");
+  }
+  return opts;
+}
+
+// Runs each phase up to and including `phase`, skipping any already done,
+// so a loaded save picks up where it left off.
+function simThrough(u, phase, opts) {
+  const stop = PHASES.indexOf(phase);
+  if (u.games.length === 0) act(u, { type: "schedule", mode: opts.rr, nonConf: opts.nonconf });
+  if (stop >= 1 && u.games.some((g) => !g.played)) act(u, { type: "simRegularSeason" });
+  if (stop >= 2 && !confTournamentsComplete(u)) act(u, { type: "confTournaments" });
+  if (stop >= 3 && !u.bracket) act(u, { type: "selection" });
+  if (stop >= 4 && nationalChampion(u) == null) act(u, { type: "simBracket" });
+  if (stop >= 4 && !secondaryTournamentsComplete(u)) act(u, { type: "simSecondary" });
+}
+
+function pad(s, n) {
+  s = String(s);
+  return s.length >= n ? s : s + " ".repeat(n - s.length);
+}
+
+function standingsText(u) {
+  let out = "";
+  const by = groupByConference(u.teams);
+  for (const conf of Object.keys(by).sort()) {
+    out += `\n${conf}\n`;
+    for (const t of standingsForConf(u, conf)) {
+      out += `  ${pad(t.name, 34)} ${pad(`${t.cw}-${t.cl}`, 6)} ${pad(`${t.w}-${t.l}`, 6)} ${
+        t.net ? `NET ${pad(t.net, 4)}` : ""
+      } AdjEM ${adjEM(t).toFixed(1)}\n`;
+    }
+  }
+  return out;
+}
+
+function bracketText(u) {
+  const b = u.bracket;
+  if (!b) return "\nNo national bracket yet.\n";
+  const label = (id) => {
+    const s = b.seeds[id];
+    return `(${s ? s.seed : "?"}) ${teamById(u, id).name}`;
+  };
+  let out = "";
+  const rounds = bracketRounds(b);
+  rounds.forEach((games, r) => {
+    const title =
+      b.firstFour && b.firstFour.length && r === 0 ? "First Four" : roundLabel(games.length * 2);
+    out += `\n${title}\n`;
+    for (const g of games) {
+      const region = g.region ? `${pad(g.region, 8)} ` : "";
+      const line = g.played
+        ? `${label(g.homeId)} ${g.homeScore}, ${label(g.awayId)} ${g.awayScore}`
+        : `${label(g.homeId)} vs ${label(g.awayId)}`;
+      out += `  ${region}${line}\n`;
+    }
+  });
+  const champ = nationalChampion(u);
+  if (champ != null) out += `\nChampion: ${teamById(u, champ).name}\n`;
+  return out;
+}
+
+function summaryLine(u) {
+  const champ = nationalChampion(u);
+  const champs = confChampions(u);
+  const conf = Object.keys(champs)
+    .sort()
+    .map((c) => `${c}: ${teamById(u, champs[c]).school}`)
+    .join("; ");
+  const nit = eventChampion(u.nit);
+  return `${u.year} champion: ${champ != null ? teamById(u, champ).name : "—"}${
+    nit != null ? ` | NIT: ${teamById(u, nit).school}` : ""
+  }${conf ? ` | ${conf}` : ""}`;
+}
+
+function main(argv) {
+  const opts = parseArgs(argv);
+  if (opts.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  const u = opts.load
+    ? loadSave(fs.readFileSync(opts.load, "utf8"))
+    : new Universe(parseCSV(fs.readFileSync(opts.teams, "utf8")), opts.seed);
+
+  for (let s = 0; s < opts.seasons; s++) {
+    if (s > 0) act(u, { type: "advanceSeason" });
+    simThrough(u, opts.phase, opts);
+    if (opts.summary) console.log(summaryLine(u));
+  }
+  if (opts.standings) process.stdout.write(standingsText(u));
+  if (opts.bracket) process.stdout.write(bracketText(u));
+  if (opts.save) fs.writeFileSync(opts.save, serializeSave(u));
+  if (opts.verify) {
+    const res = verifyReplay(u);
+    if (!res.ok) throw new Error(`Replay diverged at ${res.diff}`);
+    console.log(`Replay OK: ${res.actions} action(s) reproduce the save exactly.`);
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  console.error(err.message);
+  console.error("Run with --help for usage.");
+  process.exit(1);
+}
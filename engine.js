@@ -0,0 +1,4524 @@
+// College Basketball GM — simulation engine
+// Everything needed to build and sim a universe, with no DOM or storage access.
+// Loaded by index.html ahead of app.js, by the projection worker, and with
+// require() from Node (see cli.js).
+
+// ---------- Small utilities ----------
+// Mulberry32: advances a 32-bit state and returns [0, 1) for it.
+function mulberry32(t) {
+  let r = Math.imul(t ^ (t >>> 15), 1 | t);
+  r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+  return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+}
+
+function rng(seed) {
+  let t = seed >>> 0;
+  return function () {
+    t = (t + 0x6d2b79f5) >>> 0;
+    return mulberry32(t);
+  };
+}
+
+function hashString(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h += (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24);
+  }
+  return h >>> 0;
+}
+
+function pick(arr, rnd) {
+  return arr[Math.floor(rnd() * arr.length)];
+}
+
+function shuffle(arr, rnd) {
+  const a = arr.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rnd() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// ---------- Random streams ----------
+// Each sim phase draws from its own named stream, seeded from the universe
+// seed, the season and the name, so re-simming one phase never shifts another.
+// `state` holds every stream's position and is saved with the universe.
+const RNG_STREAMS = [
+  "rosters",
+  "schedule",
+  "regular",
+  "conf",
+  "bracket",
+  "offseason",
+  "recruiting",
+  "portal",
+  "coaches",
+];
+
+class RngStreams {
+  constructor(seed, year, state = {}) {
+    this.seed = seed >>> 0;
+    this.year = year;
+    this.state = Object.assign({}, state); // stream name -> Mulberry32 state
+  }
+  stream(name) {
+    if (!RNG_STREAMS.includes(name)) throw new Error(`Unknown RNG stream: ${name}`);
+    const state = this.state;
+    if (state[name] == null) state[name] = hashString(`${this.seed}|${this.year}|${name}`);
+    return function () {
+      state[name] = (state[name] + 0x6d2b79f5) >>> 0;
+      return mulberry32(state[name]);
+    };
+  }
+  // Streams restart from fresh seeds each season.
+  newSeason(year) {
+    this.year = year;
+    this.state = {};
+  }
+}
+
+// ---------- Core sim types ----------
+class Team {
+  constructor(row) {
+    this.id = row.id;
+    this.school = row.school;
+    this.nickname = row.nickname;
+    this.conf = row.conf;
+    this.region = row.region || defaultRegion(row.school); // see HOME_REGIONS
+    this.rating = row.rating; // 30..90 suggested
+    this.w = 0;
+    this.l = 0;
+    this.cw = 0;
+    this.cl = 0;
+    this.sos = 0; // strength of schedule
+    this.rs = 0; // resume (wins vs good teams)
+    this.seedNote = "";
+    this.adjO = 0; // adjusted points scored per 100 possessions
+    this.adjD = 0; // adjusted points allowed per 100 possessions
+    this.adjT = 0; // adjusted possessions per 40 minutes
+    this.net = 0; // NET rank, 0 until games are played
+    this.netScore = 0;
+    this.wab = 0; // wins above bubble
+    this.roster = []; // Player[]
+    this.coachId = null; // see Coaches
+  }
+  get name() {
+    return `${this.school} ${this.nickname}`.trim();
+  }
+}
+
+class Player {
+  constructor(fields) {
+    this.id = fields.id;
+    this.name = fields.name;
+    this.pos = fields.pos; // PG, SG, SF, PF, C
+    this.cls = fields.cls; // FR, SO, JR, SR
+    this.height = fields.height; // inches
+    this.attrs = fields.attrs; // { sht, ins, pas, def, reb, ath } 25..99
+    this.pot = fields.pot; // ceiling for ovr
+  }
+  get ovr() {
+    return playerOverall(this);
+  }
+}
+
+class Game {
+  constructor(homeId, awayId, conf, week, neutral = false) {
+    this.homeId = homeId;
+    this.awayId = awayId;
+    this.conf = conf;
+    this.week = week;
+    this.day = null; // days since opening night, see seasonCalendar
+    this.neutral = neutral;
+    this.played = false;
+    this.homeScore = 0;
+    this.awayScore = 0;
+  }
+}
+
+class Universe {
+  constructor(teams, seedStr = "", myTeamId = null) {
+    this.teams = teams.map((t) => new Team(t));
+    this.year = 2025;
+    this.day = 0; // current date, days since opening night
+    this.games = [];
+    this.events = []; // early-season multi-team events, see scheduleNonConf
+    this.confTournaments = {}; // conf -> array of Games[]
+    this.confFormats = {}; // conf -> format, see confTournamentPlan
+    this.confSeeds = {}; // conf -> team ids in seed order
+    this.bracket = null;
+    this.nit = null; // secondary events, see buildSecondaryTournaments
+    this.cbi = null;
+    this.cbiEnabled = true;
+    this.polls = []; // weekly Top 25s, see updatePolls
+    this.pollBallots = []; // each voter's latest ballot
+    this.history = []; // archived seasons, oldest first
+    const s = seedStr ? hashString(seedStr) : Date.now();
+    this.rngs = new RngStreams(s, this.year);
+    this.nextPlayerId = 1;
+    for (const t of this.teams) generateRoster(this, t);
+    this.nextCoachId = 1;
+    generateCoaches(this);
+    this.carousel = null; // the latest offseason's coaching moves
+    generateFinances(this); // team id -> budget and ledger, see Finances
+    this.recruits = []; // this season's prospects, see generateRecruitClass
+    this.recruitDay = 0; // decisions before this day are settled
+    this.portal = null; // the latest offseason's transfers, see runTransferPortal
+    this.gm = null; // the user's program, see GM mode
+    if (myTeamId != null) claimProgram(this, myTeamId);
+    generateRecruitClass(this);
+    this.timeline = []; // replays of recent finished seasons, see rewind()
+    resetReplay(this);
+  }
+  stream(name) {
+    return this.rngs.stream(name);
+  }
+}
+
+// ---------- Rosters ----------
+const POSITIONS = ["PG", "SG", "SF", "PF", "C"];
+const CLASSES = ["FR", "SO", "JR", "SR"];
+const ROSTER_SIZE = 13;
+const ROTATION_WEIGHTS = [1, 1, 1, 1, 1, 0.7, 0.5, 0.3];
+
+// How much each attribute counts toward a player's overall, by position.
+const POSITION_PROFILE = {
+  PG: { sht: 1.0, ins: 0.5, pas: 1.5, def: 1.0, reb: 0.3, ath: 1.0 },
+  SG: { sht: 1.5, ins: 0.6, pas: 0.8, def: 1.0, reb: 0.4, ath: 1.0 },
+  SF: { sht: 1.0, ins: 1.0, pas: 0.7, def: 1.0, reb: 0.7, ath: 1.0 },
+  PF: { sht: 0.6, ins: 1.4, pas: 0.5, def: 1.0, reb: 1.3, ath: 0.9 },
+  C: { sht: 0.3, ins: 1.5, pas: 0.4, def: 1.1, reb: 1.6, ath: 0.8 },
+};
+
+const HEIGHT_RANGE = {
+  PG: [71, 76],
+  SG: [74, 78],
+  SF: [77, 80],
+  PF: [79, 82],
+  C: [81, 85],
+};
+
+const FIRST_NAMES = [
+  "Aaron", "Andre", "Ben", "Brandon", "Caleb", "Cam", "Chris", "Cole", "Darius", "David",
+  "Devin", "Dylan", "Eli", "Elijah", "Evan", "Gabe", "Grant", "Isaiah", "Jalen", "Jamal",
+  "Jaylen", "Jordan", "Josh", "Justin", "Kam", "Keegan", "Kevin", "Kobe", "Lamar", "Liam",
+  "Malik", "Marcus", "Mason", "Miles", "Nate", "Noah", "Omar", "Quinn", "Reggie", "Ryan",
+  "Sam", "Terrence", "Trey", "Tyler", "Tyrese", "Wes", "Xavier", "Zach",
+];
+
+const LAST_NAMES = [
+  "Adams", "Allen", "Bailey", "Baker", "Bell", "Brooks", "Brown", "Carter", "Clark", "Coleman",
+  "Cooper", "Davis", "Edwards", "Ellis", "Evans", "Fisher", "Ford", "Graham", "Green", "Griffin",
+  "Hall", "Harris", "Hayes", "Hill", "Howard", "Jackson", "James", "Jenkins", "Johnson", "Jones",
+  "King", "Lewis", "Marshall", "Martin", "Miller", "Mitchell", "Moore", "Morris", "Murphy", "Nelson",
+  "Owens", "Parker", "Porter", "Reed", "Roberts", "Robinson", "Sanders", "Scott", "Simmons", "Smith",
+  "Stewart", "Thomas", "Thompson", "Turner", "Walker", "Ward", "Washington", "Watson", "White", "Williams",
+  "Wilson", "Wright", "Young",
+];
+
+function clampAttr(v) {
+  return Math.max(25, Math.min(99, Math.round(v)));
+}
+
+function playerOverall(p) {
+  const prof = POSITION_PROFILE[p.pos];
+  let sum = 0,
+    wsum = 0;
+  for (const k of Object.keys(prof)) {
+    sum += p.attrs[k] * prof[k];
+    wsum += prof[k];
+  }
+  return sum / wsum;
+}
+
+function formatHeight(inches) {
+  return `${Math.floor(inches / 12)}'${inches % 12}"`;
+}
+
+// A new player whose overall lands near `target`.
+function generatePlayer(u, pos, cls, target, rnd = u.stream("rosters")) {
+  const prof = POSITION_PROFILE[pos];
+  const attrs = {};
+  for (const k of Object.keys(prof)) {
+    attrs[k] = clampAttr(target + (prof[k] - 1) * 10 + (rnd() - 0.5) * 12);
+  }
+  const [lo, hi] = HEIGHT_RANGE[pos];
+  const p = new Player({
+    id: u.nextPlayerId++,
+    name: `${pick(FIRST_NAMES, rnd)} ${pick(LAST_NAMES, rnd)}`,
+    pos,
+    cls,
+    height: lo + Math.floor(rnd() * (hi - lo + 1)),
+    attrs,
+    pot: 0,
+  });
+  const shift = target - p.ovr;
+  for (const k of Object.keys(attrs)) attrs[k] = clampAttr(attrs[k] + shift);
+  const yearsLeft = 3 - CLASSES.indexOf(cls);
+  p.pot = Math.min(99, Math.round(p.ovr + yearsLeft * (2 + rnd() * 4)));
+  return p;
+}
+
+// Rotation depth offsets, best player first; the weighted top-8 lands near 0.
+const DEPTH_OFFSETS = [5, 3, 1, 0, -1, -3, -5, -7, -9, -11, -13, -15, -17];
+const CLASS_OFFSETS = { FR: -3, SO: -1, JR: 1, SR: 2 };
+
+function generateRoster(u, t) {
+  const rnd = u.stream("rosters");
+  t.roster = [];
+  for (let i = 0; i < ROSTER_SIZE; i++) {
+    const pos = POSITIONS[i % POSITIONS.length];
+    const cls = pick(CLASSES, rnd);
+    const target = t.rating + DEPTH_OFFSETS[i] + CLASS_OFFSETS[cls] + (rnd() - 0.5) * 4;
+    t.roster.push(generatePlayer(u, pos, cls, target));
+  }
+}
+
+function rotation(t) {
+  return t.roster
+    .map((p) => [p.ovr, p])
+    .sort((a, b) => b[0] - a[0])
+    .slice(0, ROTATION_WEIGHTS.length)
+    .map((x) => x[1]);
+}
+
+// Effective team strength on the same 30..95 scale as `rating`.
+function teamStrength(t) {
+  if (!t.roster || t.roster.length === 0) return t.rating;
+  const rot = rotation(t);
+  let sum = 0,
+    wsum = 0;
+  rot.forEach((p, i) => {
+    sum += playerOverall(p) * ROTATION_WEIGHTS[i];
+    wsum += ROTATION_WEIGHTS[i];
+  });
+  return sum / wsum;
+}
+
+// Seniors graduate, everyone else moves up a class and develops toward their
+// potential (faster under a good development coach), then the signed
+// recruiting class joins and walk-ons fill any open spots.
+function advanceRosters(u) {
+  const rnd = u.stream("offseason");
+  const signed = {};
+  for (const p of u.recruits) {
+    if (p.teamId == null) continue;
+    if (!signed[p.teamId]) signed[p.teamId] = [];
+    signed[p.teamId].push(p);
+  }
+  for (const t of u.teams) {
+    const coach = coachOf(u, t);
+    const develop = coach ? 0.6 + coach.development / 125 : 1;
+    t.roster = t.roster.filter((p) => p.cls !== "SR");
+    for (const p of t.roster) {
+      p.cls = CLASSES[CLASSES.indexOf(p.cls) + 1];
+      const room = Math.max(0, p.pot - p.ovr);
+      const growth = Math.min(room, (1 + rnd() * 4) * develop);
+      for (const k of Object.keys(p.attrs)) {
+        p.attrs[k] = clampAttr(p.attrs[k] + growth * (0.6 + rnd() * 0.8));
+      }
+    }
+    for (const p of signed[t.id] || []) {
+      if (t.roster.length < ROSTER_SIZE) t.roster.push(new Player(p));
+    }
+    fillRoster(u, t);
+  }
+}
+
+function fillRoster(u, t) {
+  while (t.roster.length < ROSTER_SIZE) {
+    const counts = {};
+    for (const p of t.roster) counts[p.pos] = (counts[p.pos] || 0) + 1;
+    const pos = POSITIONS.slice().sort((a, b) => (counts[a] || 0) - (counts[b] || 0))[0];
+    const target = t.rating - WALK_ON_GAP + (u.stream("rosters")() - 0.5) * 12;
+    t.roster.push(generatePlayer(u, pos, "FR", target));
+  }
+}
+
+// ---------- Game engine ----------
+// Possession-level sim: each trip ends in a turnover, made shot, defensive
+// rebound or free throws. Team strength shifts shooting and turnover odds;
+// attribute mix sets style (3P rate, offensive rebounding, tempo).
+//
+// playGame can report each play to an `onEvent` callback as { type, side,
+// period, clock, home, away }: the side it's credited to, seconds left in the
+// period and the score after it. Types are "2", "3" and "ft" for makes, "2x",
+// "3x" and "ftx" for misses, "tov", "foul" (side is the fouling team), "oreb",
+// "dreb" and "end" at the end of each period. Reporting never touches the
+// RNG, so a game plays out the same with or without it.
+const HALF_SECONDS = 1200;
+const OT_SECONDS = 300;
+const HOME_EDGE = 0.02;
+const STRENGTH_EDGE = 0.0045;
+const ATTR_KEYS = ["sht", "ins", "pas", "def", "reb", "ath"];
+
+function teamProfile(t, coach, style) {
+  const rot = rotation(t);
+  const s = style || defaultStyle();
+  const prof = {
+    strength: teamStrength(t) + coachEdge(coach),
+    tempo: (coach ? coach.tempo : COACH_TEMPO) + s.pace * STYLE_PACE + s.press * STYLE_PRESS_PACE,
+    threes: s.threes,
+    press: s.press,
+  };
+  for (const k of ATTR_KEYS) {
+    if (rot.length === 0) {
+      prof[k] = t.rating;
+      continue;
+    }
+    let sum = 0,
+      wsum = 0;
+    rot.forEach((p, i) => {
+      sum += p.attrs[k] * ROTATION_WEIGHTS[i];
+      wsum += ROTATION_WEIGHTS[i];
+    });
+    prof[k] = sum / wsum;
+  }
+  return prof;
+}
+
+function emptyTotals() {
+  return { pts: 0, fgm: 0, fga: 0, tpm: 0, tpa: 0, ftm: 0, fta: 0, oreb: 0, dreb: 0, tov: 0, pf: 0 };
+}
+
+function clampProb(p, lo, hi) {
+  return Math.max(lo, Math.min(hi, p));
+}
+
+// Per-possession odds for `o` attacking `d`. Style terms use each profile's
+// deviation from its own mean so they don't double count overall strength;
+// a GM playing style (see GM mode) shifts shot selection and pressure.
+function possessionOdds(o, d, homeEdge) {
+  const oMean = ATTR_KEYS.reduce((s, k) => s + o[k], 0) / ATTR_KEYS.length;
+  const dMean = ATTR_KEYS.reduce((s, k) => s + d[k], 0) / ATTR_KEYS.length;
+  const edge = (o.strength - d.strength) * STRENGTH_EDGE + homeEdge;
+  return {
+    tov: clampProb(
+      0.17 - (o.pas - oMean) * 0.003 + (d.def - dMean) * 0.002 - edge * 0.5 +
+        d.press * STYLE_PRESS.tov,
+      0.08,
+      0.28
+    ),
+    foul: 0.1,
+    shootingFoul: 0.11,
+    three: clampProb(0.37 + (o.sht - o.ins) * 0.008 + o.threes * STYLE_THREES, 0.2, 0.55),
+    make2: clampProb(
+      0.5 + (o.ins - oMean) * 0.003 - (d.def - dMean) * 0.002 + edge + d.press * STYLE_PRESS.make2,
+      0.3,
+      0.7
+    ),
+    make3: clampProb(0.34 + (o.sht - oMean) * 0.003 - (d.def - dMean) * 0.0015 + edge * 0.8, 0.2, 0.5),
+    ft: clampProb(0.71 + (o.sht - oMean) * 0.004, 0.55, 0.88),
+    oreb: clampProb(0.29 + (o.reb - d.reb) * 0.004, 0.15, 0.45),
+  };
+}
+
+function shootFreeThrows(st, side, n) {
+  const s = st.sides[side];
+  for (let i = 0; i < n; i++) {
+    s.tot.fta++;
+    if (st.rnd() < s.odds.ft) {
+      score(st, side, 1, "ftm");
+      st.emit("ft", side);
+    } else {
+      st.emit("ftx", side);
+    }
+  }
+}
+
+function score(st, side, pts, stat) {
+  const s = st.sides[side];
+  s.tot[stat]++;
+  s.tot.pts += pts;
+  s.periods[st.period] += pts;
+}
+
+function runPossession(st, side) {
+  const o = st.sides[side];
+  const d = st.sides[1 - side];
+  const rnd = st.rnd;
+  const odds = o.odds;
+  if (rnd() < odds.tov) {
+    o.tot.tov++;
+    st.emit("tov", side);
+    return;
+  }
+  if (rnd() < odds.foul) {
+    d.tot.pf++;
+    d.fouls++;
+    st.emit("foul", 1 - side);
+    if (d.fouls >= 10) {
+      shootFreeThrows(st, side, 2);
+      return;
+    }
+    if (d.fouls >= 7) {
+      // one-and-one
+      const before = o.tot.pts;
+      shootFreeThrows(st, side, 1);
+      if (o.tot.pts > before) shootFreeThrows(st, side, 1);
+      return;
+    }
+  }
+  for (;;) {
+    const three = rnd() < odds.three;
+    const make = three ? odds.make3 : odds.make2;
+    if (rnd() < odds.shootingFoul) {
+      d.tot.pf++;
+      d.fouls++;
+      st.emit("foul", 1 - side);
+      if (rnd() < make * 0.35) {
+        o.tot.fga++;
+        if (three) o.tot.tpa++;
+        score(st, side, three ? 3 : 2, "fgm");
+        if (three) o.tot.tpm++;
+        st.emit(three ? "3" : "2", side);
+        shootFreeThrows(st, side, 1);
+      } else {
+        shootFreeThrows(st, side, three ? 3 : 2);
+      }
+      return;
+    }
+    o.tot.fga++;
+    if (three) o.tot.tpa++;
+    if (rnd() < make) {
+      score(st, side, three ? 3 : 2, "fgm");
+      if (three) o.tot.tpm++;
+      st.emit(three ? "3" : "2", side);
+      return;
+    }
+    st.emit(three ? "3x" : "2x", side);
+    if (rnd() < odds.oreb) {
+      o.tot.oreb++;
+      st.emit("oreb", side);
+      continue;
+    }
+    d.tot.dreb++;
+    st.emit("dreb", 1 - side);
+    return;
+  }
+}
+
+function playPeriod(st, seconds, first) {
+  st.period = st.sides[0].periods.length;
+  for (const s of st.sides) {
+    s.periods.push(0);
+    // team fouls reset each half; overtime carries second-half fouls
+    if (seconds === HALF_SECONDS) s.fouls = 0;
+  }
+  st.clock = seconds;
+  let side = first;
+  while (st.clock > 0) {
+    st.clock -= st.avgLen * (0.55 + st.rnd() * 0.9);
+    runPossession(st, side);
+    side = 1 - side;
+  }
+  st.emit("end", null);
+}
+
+// Plays a full game between two teams and returns its box score. Side 0 is
+// the home team; `coaches` and `styles` hold each side's coach and GM playing
+// style, if any, and `court` scales the home edge (see homeCourt).
+function playGame(home, away, neutral, rnd, onEvent, coaches = [], styles = [], court = 1) {
+  const hp = teamProfile(home, coaches[0], styles[0]);
+  const ap = teamProfile(away, coaches[1], styles[1]);
+  const homeEdge = neutral ? 0 : HOME_EDGE * court;
+  const pace =
+    (hp.tempo + ap.tempo) / 2 + ((hp.ath + ap.ath) / 2 - 75) * 0.15 + (rnd() - 0.5) * 6;
+  const st = {
+    rnd,
+    period: 0,
+    clock: 0,
+    emit: onEvent
+      ? (type, side) =>
+          onEvent({
+            type,
+            side,
+            period: st.period,
+            clock: Math.max(0, Math.round(st.clock)),
+            home: st.sides[0].tot.pts,
+            away: st.sides[1].tot.pts,
+          })
+      : () => {},
+    avgLen: HALF_SECONDS / pace,
+    sides: [
+      { tot: emptyTotals(), periods: [], fouls: 0, odds: possessionOdds(hp, ap, homeEdge / 2) },
+      { tot: emptyTotals(), periods: [], fouls: 0, odds: possessionOdds(ap, hp, -homeEdge / 2) },
+    ],
+  };
+  const tip = rnd() < 0.5 ? 0 : 1;
+  playPeriod(st, HALF_SECONDS, tip);
+  playPeriod(st, HALF_SECONDS, 1 - tip);
+  while (st.sides[0].tot.pts === st.sides[1].tot.pts) {
+    playPeriod(st, OT_SECONDS, rnd() < 0.5 ? 0 : 1);
+  }
+  const [h, a] = st.sides;
+  return {
+    pace: Math.round(pace * 10) / 10,
+    ot: h.periods.length - 2,
+    home: Object.assign(h.tot, { periods: h.periods }),
+    away: Object.assign(a.tot, { periods: a.periods }),
+  };
+}
+
+// ---------- Calendar ----------
+// Seasons are named for the year of the national tournament. Day 0 is opening
+// night, the first Monday on or after Nov 3 of the year before; non-conference
+// play runs through December, conference play from Jan 2 until a week before
+// Selection Sunday, with conference tournaments in between.
+const DAY_MS = 86400000;
+// Days after Selection Sunday for the First Four and each bracket round,
+// counting back from the championship game.
+const FIRST_FOUR_OFFSET = 2;
+const BRACKET_ROUND_OFFSETS = [4, 6, 11, 13, 20, 22];
+
+function seasonOpener(year) {
+  const d = new Date(Date.UTC(year - 1, 10, 3));
+  while (d.getUTCDay() !== 1) d.setUTCDate(d.getUTCDate() + 1);
+  return d.getTime();
+}
+
+function dayOfDate(season, y, m, d) {
+  return Math.round((Date.UTC(y, m, d) - seasonOpener(season)) / DAY_MS);
+}
+
+function dateOfDay(season, day) {
+  return new Date(seasonOpener(season) + day * DAY_MS);
+}
+
+function seasonCalendar(year) {
+  let selectionSunday = dayOfDate(year, year, 2, 12);
+  while (dateOfDay(year, selectionSunday).getUTCDay() !== 0) selectionSunday++;
+  return {
+    nonConfEnd: dayOfDate(year, year - 1, 11, 31),
+    confStart: dayOfDate(year, year, 0, 2),
+    confEnd: selectionSunday - 8,
+    selectionSunday,
+  };
+}
+
+function formatDay(year, day) {
+  return dateOfDay(year, day).toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+function weekOfDay(day) {
+  return Math.floor(day / 7) + 1;
+}
+
+// Day for bracket round `r` (or "ff") when the bracket has `totalRounds`
+// rounds; smaller brackets use the later dates.
+function bracketDay(u, r, totalRounds = BRACKET_ROUND_OFFSETS.length) {
+  const sel = seasonCalendar(u.year).selectionSunday;
+  if (r === "ff") return sel + FIRST_FOUR_OFFSET;
+  const offsets = BRACKET_ROUND_OFFSETS.slice(-totalRounds);
+  return sel + offsets[Math.min(r, offsets.length - 1)];
+}
+
+// Distance from day `d` to the nearest busy day, capped at `cap`.
+function nearestGap(busy, d, cap) {
+  for (let k = 0; k < cap; k++) {
+    if (busy[d - k] || busy[d + k]) return k;
+  }
+  return cap;
+}
+
+// Dates each game between `first` and `last` so no team plays twice in a day,
+// preferring a day off between games and spreading each team's slate out.
+// `reserved` maps team ids to days they're already busy.
+function assignDates(u, games, first, last, reserved = {}) {
+  const SPREAD = 7;
+  const rnd = u.stream("schedule");
+  const busy = {};
+  for (const t of u.teams) busy[t.id] = new Uint8Array(last + SPREAD + 1);
+  const mark = (id, day) => {
+    if (day >= 0 && day < busy[id].length) busy[id][day] = 1;
+  };
+  for (const g of u.games) {
+    if (g.day == null) continue;
+    mark(g.homeId, g.day);
+    mark(g.awayId, g.day);
+  }
+  for (const id of Object.keys(reserved)) for (const day of reserved[id]) mark(id, day);
+  for (const g of shuffle(games, rnd)) {
+    let best = null;
+    for (let rest = 1; rest >= 0 && !best; rest--) {
+      for (let d = first; d <= last; d++) {
+        const gap = Math.min(
+          nearestGap(busy[g.homeId], d, SPREAD),
+          nearestGap(busy[g.awayId], d, SPREAD)
+        );
+        if (gap <= rest) continue;
+        const score = gap + rnd() * 0.5;
+        if (!best || score > best.score) best = { day: d, score };
+      }
+    }
+    g.day = best ? best.day : last;
+    g.week = weekOfDay(g.day);
+    mark(g.homeId, g.day);
+    mark(g.awayId, g.day);
+  }
+}
+
+// Plays every scheduled game dated before `target` and moves the calendar
+// there. Moving past the end of a finished regular season builds the
+// conference tournaments, whose games then play on their own dates.
+function simToDay(u, target) {
+  const cal = seasonCalendar(u.year);
+  const due = u.games.filter((g) => !g.played && g.day != null && g.day < target);
+  due.sort((a, b) => a.day - b.day);
+  const rnd = u.stream("regular");
+  for (const g of due) playScheduledGame(u, g, rnd);
+  u.day = Math.max(u.day, target);
+  const regularDone = u.games.length > 0 && u.games.every((g) => g.played);
+  if (target > cal.confEnd + 1 && regularDone && Object.keys(u.confTournaments).length === 0) {
+    buildConfTournaments(u);
+  }
+  playConfTournaments(u, target);
+  updateRatings(u);
+  updatePolls(u);
+  updateRecruiting(u);
+}
+
+// ---------- Non-conference scheduling ----------
+// Every team gets exactly `nonConf` games outside its conference: 2 or 3 in
+// an early-season event for some, the rest built as a degree-constrained
+// graph. Opponents are drawn with a preference for a mix of tiers (so high
+// majors pick up buy games against low majors), and home and away are then
+// balanced per team, with the better tier hosting where it can.
+const SCHEDULE_TIERS = ["high", "mid", "low"];
+// Share of teams, strongest conferences first, in the high and mid tiers.
+const TIER_SHARES = [0.25, 0.35];
+const TIER_WEIGHTS = {
+  high: { high: 3, mid: 2, low: 2 },
+  mid: { high: 2, mid: 3, low: 2 },
+  low: { high: 2, mid: 2, low: 3 },
+};
+// How many more home than away games each tier aims for: high majors buy
+// home games from low majors, who make up for it on the road.
+const HOME_LEAN = { high: 2, mid: 0, low: -2 };
+// Odds that a high-major matchup is a neutral-site showcase.
+const SHOWCASE_ODDS = 0.25;
+
+// Multi-team events: `games` per team, bracket layout by round, each game
+// [home slot, away slot] where a number is a seed and "W3"/"L3" is the
+// winner/loser of the event's game 3.
+const EVENT_FORMATS = {
+  4: { games: 2, rounds: [[[1, 4], [2, 3]], [["W0", "W1"], ["L0", "L1"]]] },
+  8: {
+    games: 3,
+    rounds: [
+      [[1, 8], [4, 5], [2, 7], [3, 6]],
+      [["W0", "W1"], ["W2", "W3"], ["L0", "L1"], ["L2", "L3"]],
+      [["W4", "W5"], ["L4", "L5"], ["W6", "W7"], ["L6", "L7"]],
+    ],
+  },
+};
+const EVENT_NAMES = [
+  "Paradise Invitational",
+  "Bahamas Showcase",
+  "Orlando Invitational",
+  "Las Vegas Holiday Classic",
+  "Anaheim Classic",
+  "Cancún Challenge",
+  "Charleston Classic",
+  "Myrtle Beach Invitational",
+  "Fort Myers Tip-Off",
+  "Empire Classic",
+  "Diamond Head Classic",
+  "Puerto Rico Tip-Off",
+  "Emerald Coast Classic",
+  "Jamaica Classic",
+  "Legends Classic",
+  "Hall of Fame Tip-Off",
+];
+// Events start during Thanksgiving week and the week after.
+const EVENT_FIRST_DAY = 14;
+const EVENT_LAST_START = 24;
+
+// conf -> tier, ranking conferences by average rating.
+function conferenceTiers(u) {
+  const by = groupByConference(u.teams);
+  const avg = (c) => by[c].reduce((s, t) => s + t.rating, 0) / by[c].length;
+  const tiers = {};
+  let seen = 0;
+  for (const conf of Object.keys(by).sort((a, b) => avg(b) - avg(a) || a.localeCompare(b))) {
+    const share = seen / u.teams.length;
+    tiers[conf] =
+      share < TIER_SHARES[0]
+        ? "high"
+        : share < TIER_SHARES[0] + TIER_SHARES[1]
+        ? "mid"
+        : "low";
+    seen += by[conf].length;
+  }
+  return tiers;
+}
+
+// Throws if no schedule can give every team `nonConf` games.
+function checkNonConf(u, nonConf) {
+  if (!Number.isInteger(nonConf) || nonConf < 0) {
+    throw new Error("Non-conference games must be a whole number, 0 or more.");
+  }
+  const by = groupByConference(u.teams);
+  const largest = Math.max(...Object.values(by).map((teams) => teams.length));
+  if (nonConf > u.teams.length - largest) {
+    throw new Error(
+      `${nonConf} non-conference games is too many: some teams only have ${
+        u.teams.length - largest
+      } possible opponents.`
+    );
+  }
+  if ((u.teams.length * nonConf) % 2) {
+    throw new Error(
+      `${u.teams.length} teams can't all play ${nonConf} non-conference games; pick an even number.`
+    );
+  }
+}
+
+function weightedPick(items, weight, rnd) {
+  const total = items.reduce((s, x) => s + weight(x), 0);
+  let r = rnd() * total;
+  for (const x of items) {
+    r -= weight(x);
+    if (r < 0) return x;
+  }
+  return items[items.length - 1];
+}
+
+// Draws event fields, strongest tiers most often, each from distinct
+// conferences so no event game is a conference game. Teams in `skip` stay out.
+function pickEvents(u, nonConf, tiers, rnd, skip = new Set()) {
+  const n = u.teams.length;
+  const sizes = [];
+  if (nonConf >= EVENT_FORMATS[8].games) for (let i = 0; i < Math.floor(n / 32); i++) sizes.push(8);
+  if (nonConf >= EVENT_FORMATS[4].games) for (let i = 0; i < Math.floor(n / 16); i++) sizes.push(4);
+  const taken = new Set(skip);
+  const weight = { high: 3, mid: 2, low: 1 };
+  const events = [];
+  for (const size of sizes) {
+    const field = [];
+    const confs = new Set();
+    while (field.length < size) {
+      const pool = u.teams.filter((t) => !taken.has(t.id) && !confs.has(t.conf));
+      if (pool.length === 0) break;
+      const t = weightedPick(pool, (x) => weight[tiers[x.conf]], rnd);
+      field.push(t);
+      confs.add(t.conf);
+      taken.add(t.id);
+    }
+    if (field.length < size) {
+      for (const t of field) taken.delete(t.id);
+      continue;
+    }
+    field.sort((a, b) => b.rating - a.rating || a.id - b.id);
+    const name = EVENT_NAMES[events.length % EVENT_NAMES.length];
+    const lap = Math.floor(events.length / EVENT_NAMES.length);
+    events.push({
+      name: lap ? `${name} ${lap + 1}` : name,
+      day: EVENT_FIRST_DAY + Math.floor(rnd() * (EVENT_LAST_START - EVENT_FIRST_DAY + 1)),
+      teams: field.map((t) => t.id),
+    });
+  }
+  return events;
+}
+
+// Lays out an event's games on consecutive days. Winner and loser slots are
+// filled in as games finish; `target`/`loserTarget` point into u.games once
+// the schedule is sorted.
+function eventGames(u, ev, index) {
+  const format = EVENT_FORMATS[ev.teams.length];
+  const games = [];
+  format.rounds.forEach((round, r) => {
+    for (const [home, away] of round) {
+      const slot = (s) => (typeof s === "number" ? ev.teams[s - 1] : null);
+      const g = new Game(slot(home), slot(away), null, weekOfDay(ev.day + r), true);
+      g.day = ev.day + r;
+      g.event = index;
+      games.push(g);
+      for (const [s, side] of [
+        [home, "homeId"],
+        [away, "awayId"],
+      ]) {
+        if (typeof s === "number") continue;
+        const from = games[Number(s.slice(1))];
+        from[s[0] === "W" ? "target" : "loserTarget"] = { game: g, side };
+      }
+    }
+  });
+  return games;
+}
+
+// Pairs up every team's remaining non-conference slots. Greedy draws first;
+// whatever is left is patched in by splitting an existing game in two.
+function pairNonConf(u, need, tiers, sameEvent, rnd) {
+  const teams = shuffle(u.teams, rnd);
+  const paired = new Set();
+  const key = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+  const ok = (a, b) =>
+    a !== b && a.conf !== b.conf && !paired.has(key(a.id, b.id)) && !sameEvent(a.id, b.id);
+  const edges = [];
+  const add = (a, b) => {
+    edges.push([a, b]);
+    paired.add(key(a.id, b.id));
+    need[a.id]--;
+    need[b.id]--;
+  };
+  const remove = (i) => {
+    const [a, b] = edges[i];
+    edges.splice(i, 1);
+    paired.delete(key(a.id, b.id));
+    need[a.id]++;
+    need[b.id]++;
+  };
+  for (;;) {
+    let a = null;
+    for (const t of teams) if (need[t.id] > 0 && (!a || need[t.id] > need[a.id])) a = t;
+    if (!a) return edges;
+    const options = teams.filter((b) => need[b.id] > 0 && ok(a, b));
+    if (options.length === 0) break;
+    const tier = TIER_WEIGHTS[tiers[a.conf]];
+    add(a, weightedPick(options, (b) => tier[tiers[b.conf]] * need[b.id], rnd));
+  }
+  for (let guard = 0; guard < u.teams.length * 4; guard++) {
+    const open = teams.filter((t) => need[t.id] > 0);
+    if (open.length === 0) return edges;
+    const a = open[0];
+    const b = open.find((t) => t !== a) || a;
+    if (b !== a && ok(a, b)) {
+      add(a, b);
+      continue;
+    }
+    const order = shuffle(edges.map((_, i) => i), rnd);
+    const i = order.find((j) => {
+      const [c, d] = edges[j];
+      return (ok(a, c) && ok(b, d)) || (ok(a, d) && ok(b, c));
+    });
+    if (i === undefined) break;
+    const [c, d] = edges[i];
+    remove(i);
+    if (ok(a, c) && ok(b, d)) {
+      add(a, c);
+      add(b, d);
+    } else {
+      add(a, d);
+      add(b, c);
+    }
+  }
+  throw new Error("Couldn't fit everyone's non-conference games; try a different number.");
+}
+
+// Turns pairings into games: high-major showcases at neutral sites, the
+// better tier at home, then flips games that bring both teams closer to
+// their tier's home/away split (HOME_LEAN).
+function orientNonConf(edges, tiers, rnd) {
+  const rank = (t) => SCHEDULE_TIERS.indexOf(tiers[t.conf]);
+  const balance = {};
+  const games = edges.map(([a, b]) => {
+    if (tiers[a.conf] === "high" && tiers[b.conf] === "high" && rnd() < SHOWCASE_ODDS) {
+      return { home: a, away: b, neutral: true };
+    }
+    const aHosts = rank(a) !== rank(b) ? rank(a) < rank(b) : rnd() < 0.5;
+    return aHosts ? { home: a, away: b, neutral: false } : { home: b, away: a, neutral: false };
+  });
+  const bump = (g, k) => {
+    balance[g.home.id] = (balance[g.home.id] || 0) + k;
+    balance[g.away.id] = (balance[g.away.id] || 0) - k;
+  };
+  const off = (t) => balance[t.id] - HOME_LEAN[tiers[t.conf]];
+  for (const g of games) if (!g.neutral) bump(g, 1);
+  for (let flipped = true; flipped; ) {
+    flipped = false;
+    for (const g of games) {
+      if (g.neutral || off(g.home) - off(g.away) < 3) continue;
+      bump(g, -1);
+      [g.home, g.away] = [g.away, g.home];
+      bump(g, 1);
+      flipped = true;
+    }
+  }
+  return games;
+}
+
+// The GM program's lined-up games (u.gm.nonConf) go in as they are; it and
+// its opponents sit out the events so everyone still has room for them.
+function scheduleNonConf(u, nonConf) {
+  const cal = seasonCalendar(u.year);
+  const rnd = u.stream("schedule");
+  const tiers = conferenceTiers(u);
+  const plan = u.gm ? u.gm.nonConf : [];
+  const me = u.gm && u.gm.teamId;
+  const planned = new Set(plan.map((p) => p.oppId));
+  const skip = new Set(plan.length ? [me, ...planned] : []);
+  u.events = pickEvents(u, nonConf, tiers, rnd, skip);
+  const eventOf = {};
+  const need = {};
+  for (const t of u.teams) need[t.id] = nonConf;
+  for (const id of planned) {
+    need[me]--;
+    need[id]--;
+  }
+  const fixed = [];
+  const reserved = {};
+  u.events.forEach((ev, i) => {
+    const format = EVENT_FORMATS[ev.teams.length];
+    for (const id of ev.teams) {
+      eventOf[id] = i;
+      need[id] -= format.games;
+      reserved[id] = format.rounds.map((_, r) => ev.day + r);
+    }
+    fixed.push(...eventGames(u, ev, i));
+  });
+  const sameEvent = (a, b) =>
+    (eventOf[a] != null && eventOf[a] === eventOf[b]) ||
+    (a === me && planned.has(b)) ||
+    (b === me && planned.has(a));
+  const edges = pairNonConf(u, need, tiers, sameEvent, rnd);
+  const games = orientNonConf(edges, tiers, rnd).map(
+    (p) => new Game(p.home.id, p.away.id, null, 0, p.neutral)
+  );
+  for (const { oppId, site } of plan) {
+    games.push(
+      site === "away"
+        ? new Game(oppId, me, null, 0, false)
+        : new Game(me, oppId, null, 0, site === "neutral")
+    );
+  }
+  assignDates(u, games, 0, cal.nonConfEnd, reserved);
+  return [...fixed, ...games];
+}
+
+// Plays a scheduled game and moves event teams on to their next game.
+function playScheduledGame(u, g, rnd, onEvent) {
+  simulateGame(u, g, rnd, onEvent);
+  if (g.target) u.games[g.target.game][g.target.side] = winnerId(g);
+  if (g.loserTarget) {
+    u.games[g.loserTarget.game][g.loserTarget.side] = winnerId(g) === g.homeId ? g.awayId : g.homeId;
+  }
+}
+
+// ---------- Schedule & Sim ----------
+function groupByConference(teams) {
+  const by = {};
+  for (const t of teams) {
+    if (!by[t.conf]) by[t.conf] = [];
+    by[t.conf].push(t);
+  }
+  return by;
+}
+
+// id -> position in u.teams, cached per teams array. A hit is only trusted if
+// the team at that position still has the id, so teams replaced, removed or
+// renumbered in place rebuild the index instead of returning a stale object.
+const teamIndex = new WeakMap();
+
+function teamById(u, id) {
+  let idx = teamIndex.get(u.teams);
+  let i = idx && idx.get(id);
+  if (i === undefined || u.teams[i]?.id !== id) {
+    idx = new Map(u.teams.map((t, k) => [t.id, k]));
+    teamIndex.set(u.teams, idx);
+    i = idx.get(id);
+  }
+  return i === undefined ? undefined : u.teams[i];
+}
+
+function eloWinProb(rA, rB, homeAdv = 1.5) {
+  const diff = rA + homeAdv - rB;
+  return 1 / (1 + Math.exp(-diff / 6));
+}
+
+function normal(rnd) {
+  const a = Math.max(rnd(), 1e-12);
+  return Math.sqrt(-2 * Math.log(a)) * Math.cos(2 * Math.PI * rnd());
+}
+
+// Final score only, drawn from the margin the possession engine produces on
+// average. Used by projections, which sim the same season thousands of times.
+// `court` scales the home edge as it does in playGame (see homeCourt).
+function quickScore(homeStrength, awayStrength, neutral, rnd, court = 1) {
+  const diff = homeStrength + (neutral ? 0 : 2.5 * court) - awayStrength;
+  const margin = Math.round(diff * 1.08 + normal(rnd) * 11);
+  const total = 146 + normal(rnd) * 14;
+  let homeScore = Math.round((total + margin) / 2);
+  let awayScore = homeScore - margin;
+  if (homeScore === awayScore) {
+    if (rnd() < 0.5) homeScore += 1 + Math.floor(rnd() * 6);
+    else awayScore += 1 + Math.floor(rnd() * 6);
+  }
+  return [homeScore, awayScore];
+}
+
+// The home team's chances in `g` before tip-off, on the terms projections
+// play it: game strength plus playing style, and a home edge scaled by the
+// home program's facilities.
+function pregameWinProb(u, g) {
+  const home = teamById(u, g.homeId);
+  const away = teamById(u, g.awayId);
+  const strength = (t) => gameStrength(u, t) + styleEdge(styleOf(u, t));
+  return eloWinProb(strength(home), strength(away), g.neutral ? 0 : 2.5 * homeCourt(u, home));
+}
+
+function simulateGame(u, g, rnd, onEvent) {
+  if (g.played) return;
+  const home = teamById(u, g.homeId);
+  const away = teamById(u, g.awayId);
+  let homeScore, awayScore;
+  if (u.quickSim) {
+    const str = u.strengths;
+    const court = homeCourt(u, home);
+    [homeScore, awayScore] = quickScore(str[home.id], str[away.id], g.neutral, rnd, court);
+  } else {
+    const coaches = [coachOf(u, home), coachOf(u, away)];
+    const styles = [styleOf(u, home), styleOf(u, away)];
+    const court = homeCourt(u, home);
+    const box = playGame(home, away, g.neutral, rnd, onEvent, coaches, styles, court);
+    homeScore = box.home.pts;
+    awayScore = box.away.pts;
+    g.box = box;
+  }
+
+  g.played = true;
+  g.homeScore = homeScore;
+  g.awayScore = awayScore;
+
+  // Postseason events also carry a name in `conf` ("NCAA", "NIT", "CBI"), so
+  // only games between two members count toward the conference record.
+  const confGame = g.conf != null && home.conf === g.conf && away.conf === g.conf;
+  const homeWon = homeScore > awayScore;
+  if (homeWon) {
+    home.w++;
+    away.l++;
+    if (confGame) {
+      home.cw++;
+      away.cl++;
+    }
+    home.rs += away.rating >= 75 ? 1 : 0;
+  } else {
+    away.w++;
+    home.l++;
+    if (confGame) {
+      away.cw++;
+      home.cl++;
+    }
+    away.rs += home.rating >= 75 ? 1 : 0;
+  }
+}
+
+function generateSchedule(u, mode = "single", nonConf = 8) {
+  checkNonConf(u, nonConf);
+  if (u.gm) checkNonConfPlan(u, u.gm.nonConf, nonConf);
+  u.games = [];
+  u.day = 0;
+  u.polls = [];
+  u.pollBallots = [];
+  const cal = seasonCalendar(u.year);
+  const confGroups = groupByConference(u.teams); // fixed name
+
+  // conference round robin(s), spread evenly from January to the end of the
+  // regular season
+  for (const conf of Object.keys(confGroups)) {
+    const teams = confGroups[conf].slice();
+    let list = teams.map((t) => t.id);
+    if (list.length % 2 === 1) list.push(null); // bye
+    const rounds = mode === "double" ? (list.length - 1) * 2 : list.length - 1;
+    const step = Math.max(1, (cal.confEnd - cal.confStart + 1) / rounds);
+
+    for (let r = 0; r < rounds; r++) {
+      const day = cal.confStart + Math.floor(r * step);
+      const pairs = [];
+      for (let i = 0; i < list.length / 2; i++) {
+        const a = list[i],
+          b = list[list.length - 1 - i];
+        if (a != null && b != null) {
+          const homeFirst = r % 2 === 0;
+          const g = new Game(homeFirst ? a : b, homeFirst ? b : a, conf, weekOfDay(day));
+          g.day = day;
+          pairs.push(g);
+        }
+      }
+      u.games.push(...pairs);
+      // rotate
+      const fixed = list[0];
+      const rotated = [fixed, ...list.slice(2), list[1]];
+      list = rotated;
+    }
+  }
+
+  u.games.push(...scheduleNonConf(u, nonConf));
+  u.games.sort((a, b) => a.day - b.day);
+  for (const g of u.games) {
+    for (const key of ["target", "loserTarget"]) {
+      if (g[key]) g[key] = { game: u.games.indexOf(g[key].game), side: g[key].side };
+    }
+  }
+  updatePolls(u);
+}
+
+// Plays every remaining regular-season game and moves the calendar past
+// the end of conference play.
+function simRegularSeason(u) {
+  const seasonGames = u.games.filter((g) => !g.played);
+  const rnd = u.stream("regular");
+  for (const g of seasonGames) playScheduledGame(u, g, rnd);
+  u.day = Math.max(u.day, seasonCalendar(u.year).confEnd + 1);
+  updateRatings(u);
+  updatePolls(u);
+  updateRecruiting(u);
+}
+
+function standingsForConf(u, conf) {
+  const teams = u.teams.filter((t) => t.conf === conf);
+  return teams.slice().sort((a, b) => {
+    if (b.cw - b.cl !== a.cw - a.cl) {
+      return b.cw - b.cl - (a.cw - a.cl);
+    }
+    if (b.w - b.l !== a.w - a.l) {
+      return b.w - b.l - (a.w - a.l);
+    }
+    return b.rating + b.sos - (a.rating + a.sos);
+  });
+}
+
+// A conference's format is { qualifiers, byes, hostRounds }: how many teams
+// make the field (null for all of them), byes[k] = how many top seeds skip at
+// least k + 1 rounds ([9, 4] gives seeds 1-4 a double bye and 5-9 a single
+// one), and how many opening rounds the better seed hosts before the rest move
+// to a neutral site. Conferences without one get a plain neutral-site bracket.
+function defaultConfFormat(teamCount) {
+  let size = 1;
+  while (size < teamCount) size *= 2;
+  return { qualifiers: null, byes: size > teamCount ? [size - teamCount] : [], hostRounds: 0 };
+}
+
+// Rounds of a format for a conference of `teamCount` teams: each is
+// { teams, above }, where the round is played by seeds above + 1 through
+// above + teams. Throws if the format doesn't make a bracket.
+function confTournamentPlan(format, teamCount) {
+  const q = format.qualifiers == null ? teamCount : format.qualifiers;
+  const byes = format.byes || [];
+  if (!Number.isInteger(q) || q < 2 || q > teamCount) {
+    throw new Error(`Qualifiers must be between 2 and ${teamCount}.`);
+  }
+  if (!Number.isInteger(format.hostRounds) || format.hostRounds < 0) {
+    throw new Error("Home-court rounds must be a whole number, 0 or more.");
+  }
+  byes.forEach((n, k) => {
+    const limit = k === 0 ? q - 1 : byes[k - 1] - 1;
+    if (!Number.isInteger(n) || n < 1 || n > limit) {
+      throw new Error("Byes must be whole numbers, each smaller than the one before.");
+    }
+  });
+  const rounds = [];
+  let survivors = 0;
+  let above = q;
+  for (let r = 0; ; r++) {
+    const nextAbove = r < byes.length ? byes[r] : 0;
+    const teams = survivors + above - nextAbove;
+    if (teams === 1 && nextAbove === 0) break;
+    if (teams < 2 || teams % 2) {
+      throw new Error(`Round ${r + 1} would have ${teams} team${teams === 1 ? "" : "s"}.`);
+    }
+    rounds.push({ teams, above: nextAbove });
+    survivors = teams / 2;
+    above = nextAbove;
+  }
+  return rounds;
+}
+
+function confTeamCount(u, conf) {
+  return u.teams.filter((t) => t.conf === conf).length;
+}
+
+// The format a conference's tournament is built with: its own if that still
+// fits the conference, the default otherwise.
+function confFormat(u, conf) {
+  const n = confTeamCount(u, conf);
+  const format = u.confFormats[conf];
+  if (format) {
+    try {
+      confTournamentPlan(format, n);
+      return format;
+    } catch (err) {
+      // realignment can leave a format that no longer fits
+    }
+  }
+  return defaultConfFormat(n);
+}
+
+// Sets (or with a null format, clears) a conference's format. Throws if it
+// doesn't make a bracket for the conference as it stands.
+function setConfFormat(u, conf, format) {
+  if (!format) {
+    delete u.confFormats[conf];
+    return;
+  }
+  const clean = {
+    qualifiers: format.qualifiers == null ? null : format.qualifiers,
+    byes: (format.byes || []).slice(),
+    hostRounds: format.hostRounds || 0,
+  };
+  confTournamentPlan(clean, confTeamCount(u, conf));
+  u.confFormats[conf] = clean;
+}
+
+// Lays out every round up front, seeded from the final standings. Seeds are
+// placed from the final down (1 v 2) so the top two can only meet there; a
+// game whose winner moves on carries a `target` slot in the next round.
+function buildConfTournaments(u) {
+  const cal = seasonCalendar(u.year);
+  u.confTournaments = {};
+  u.confSeeds = {};
+  const by = groupByConference(u.teams);
+  for (const conf of Object.keys(by)) {
+    if (by[conf].length < 2) continue;
+    const format = confFormat(u, conf);
+    const plan = confTournamentPlan(format, by[conf].length);
+    const seeds = standingsForConf(u, conf)
+      .slice(0, plan[0].teams + plan[0].above)
+      .map((t) => t.id);
+    u.confSeeds[conf] = seeds;
+
+    const last = plan.length - 1;
+    const labels = [];
+    labels[last] = [{ pair: [1, 2] }];
+    for (let r = last - 1; r >= 0; r--) {
+      const { teams, above } = plan[r];
+      labels[r] = [];
+      labels[r + 1].forEach((slot, game) => {
+        slot.pair.forEach((seed, i) => {
+          if (seed <= above) return;
+          const side = i === 0 ? "homeId" : "awayId";
+          labels[r].push({ pair: [seed, 2 * above + teams + 1 - seed], target: { game, side } });
+        });
+      });
+    }
+
+    u.confTournaments[conf] = labels.map((slots, r) => {
+      const day = Math.max(cal.confEnd + 1, cal.selectionSunday - plan.length + r);
+      const entrant = (seed) => (r === 0 || seed <= plan[r - 1].above ? seeds[seed - 1] : null);
+      return slots.map((slot) => {
+        const g = new Game(
+          entrant(slot.pair[0]),
+          entrant(slot.pair[1]),
+          conf,
+          weekOfDay(day),
+          r >= format.hostRounds
+        );
+        g.day = day;
+        if (slot.target) g.target = slot.target;
+        return g;
+      });
+    });
+  }
+}
+
+// Plays every ready conference tournament game dated before `target`, a day
+// at a time, moving winners into their next game.
+function playConfTournaments(u, target) {
+  const rnd = u.stream("conf");
+  const confs = Object.keys(u.confTournaments);
+  const days = new Set();
+  for (const conf of confs) {
+    for (const games of u.confTournaments[conf]) {
+      for (const g of games) if (!g.played && g.day != null && g.day < target) days.add(g.day);
+    }
+  }
+  for (const day of [...days].sort((a, b) => a - b)) {
+    for (const conf of confs) {
+      const rounds = u.confTournaments[conf];
+      rounds.forEach((games, r) => {
+        for (const g of games) {
+          if (g.played || g.day !== day || g.homeId == null || g.awayId == null) continue;
+          simulateGame(u, g, rnd);
+          if (g.target) fillConfSlot(u, conf, rounds[r + 1][g.target.game], g.target.side, winnerId(g));
+        }
+      });
+    }
+  }
+}
+
+// Once both teams are known the better seed takes the home side.
+function fillConfSlot(u, conf, g, side, id) {
+  g[side] = id;
+  if (g.homeId == null || g.awayId == null) return;
+  const seeds = u.confSeeds[conf] || [];
+  if (seeds.indexOf(g.awayId) < seeds.indexOf(g.homeId)) {
+    [g.homeId, g.awayId] = [g.awayId, g.homeId];
+  }
+}
+
+function confTournamentsComplete(u) {
+  const confs = Object.keys(u.confTournaments);
+  return confs.length > 0 && Object.keys(confChampions(u)).length === confs.length;
+}
+
+// Plays the next day of conference tournament games, building the brackets
+// first if they aren't yet.
+function simConfRound(u) {
+  if (Object.keys(u.confTournaments).length === 0) buildConfTournaments(u);
+  let next = Infinity;
+  for (const rounds of Object.values(u.confTournaments)) {
+    for (const games of rounds) for (const g of games) if (!g.played) next = Math.min(next, g.day);
+  }
+  if (next === Infinity) return;
+  simToDay(u, next + 1);
+}
+
+function simConfTournaments(u) {
+  const cal = seasonCalendar(u.year);
+  if (Object.keys(u.confTournaments).length === 0) buildConfTournaments(u);
+  playConfTournaments(u, cal.selectionSunday);
+  u.day = Math.max(u.day, cal.selectionSunday);
+  updateRatings(u);
+  if (!u.quickSim) {
+    updatePolls(u);
+    updateRecruiting(u);
+  }
+}
+
+function bracketSize(u) {
+  const N = u.teams.length;
+  return N >= 68 ? 68 : N >= 64 ? 64 : N >= 32 ? 32 : N >= 16 ? 16 : 8;
+}
+
+const REGION_NAMES = ["East", "West", "South", "Midwest"];
+// S-curve slot for each of the top four overall seeds. Regions are stored so
+// that adjacent pairs meet in the Final Four, which sends #1 overall to face
+// #4 and #2 to face #3.
+const SCURVE_REGIONS = [0, 2, 3, 1];
+
+// Standard bracket order for n seeds: [1, 16, 8, 9, 5, 12, 4, 13, ...].
+function bracketOrder(n) {
+  let order = [1];
+  while (order.length < n) {
+    const m = order.length * 2 + 1;
+    order = order.flatMap((s) => [s, m - s]);
+  }
+  return order;
+}
+
+// Seed lines whose first two games feed the same Round of 32 game.
+function podOf(seed, order) {
+  return Math.floor(order.indexOf(seed) / 4);
+}
+
+// Cost of dropping `entry` into region `r` given what's already there: the top
+// four seed lines of a conference go to different regions, and conference
+// mates shouldn't share a Round of 64/32 pod.
+function placementCost(entry, r, placed, order) {
+  let cost = 0;
+  for (const other of placed[r]) {
+    const shared = entry.confs.filter((c) => other.confs.includes(c)).length;
+    if (!shared) continue;
+    if (entry.seed <= 4 && other.seed <= 4) cost += 10 * shared;
+    if (podOf(entry.seed, order) === podOf(other.seed, order)) cost += 5 * shared;
+    cost += shared;
+  }
+  return cost;
+}
+
+function permutations(arr) {
+  if (arr.length <= 1) return [arr];
+  return arr.flatMap((x, i) =>
+    permutations(arr.slice(0, i).concat(arr.slice(i + 1))).map((rest) => [x, ...rest])
+  );
+}
+
+// Places seed-line entries into regions along the S-curve, then on each line
+// picks the region assignment with the fewest conference conflicts, preferring
+// the true S-curve on ties.
+function placeSCurve(entries, regionCount, regionSize) {
+  const placed = Array.from({ length: regionCount }, () => []);
+  const order = bracketOrder(regionSize);
+  for (let line = 0; line * regionCount < entries.length; line++) {
+    const lineEntries = entries.slice(line * regionCount, (line + 1) * regionCount);
+    for (const e of lineEntries) {
+      e.seed = line + 1;
+      e.confs = e.teams.map((t) => t.conf);
+    }
+    const base = regionCount === 4 ? SCURVE_REGIONS : [0];
+    const snake = line % 2 === 0 ? base : base.slice().reverse();
+    let best = null;
+    for (const perm of permutations(snake)) {
+      let cost = 0;
+      lineEntries.forEach((e, i) => {
+        cost += placementCost(e, perm[i], placed, order);
+        if (perm[i] !== snake[i]) cost += 0.5;
+      });
+      if (!best || cost < best.cost) best = { cost, perm };
+    }
+    lineEntries.forEach((e, i) => {
+      e.region = best.perm[i];
+      placed[best.perm[i]].push(e);
+    });
+  }
+  return placed;
+}
+
+function buildNationalBracket(u) {
+  const board = selectionBoard(u);
+  const size = board.size;
+  const ncaa68 = size === 68;
+  const regionCount = ncaa68 ? 4 : 1;
+  const regionSize = ncaa68 ? 16 : size;
+
+  // Entries are bracket slots: a single team, or a First Four pair that
+  // occupies one slot on its better team's line.
+  let entries;
+  let ffPairs;
+  if (ncaa68) {
+    // The last four at-larges and the four lowest automatic bids play in.
+    // Small universes whose weakest champions still rank above the bubble
+    // send the lowest remaining teams instead.
+    const rank = (t) => board.field.indexOf(t);
+    let ffTop = board.lastFourIn;
+    if (ffTop.length < 4) ffTop = board.field.slice(-8, -4);
+    const rest = board.field.filter((t) => !ffTop.includes(t));
+    let ffLow = rest.filter((t) => board.autoIds.has(t.id)).slice(-4);
+    if (ffLow.length < 4 || ffLow.some((t) => rank(t) < rank(ffTop[0]))) {
+      ffLow = rest.slice(-4);
+    }
+    ffPairs = [
+      [ffTop[0], ffTop[1]],
+      [ffTop[2], ffTop[3]],
+      [ffLow[0], ffLow[1]],
+      [ffLow[2], ffLow[3]],
+    ];
+    const ffIds = new Set(ffTop.concat(ffLow).map((t) => t.id));
+    entries = board.field.filter((t) => !ffIds.has(t.id)).map((t) => ({ teams: [t] }));
+    for (const pair of ffPairs) {
+      const at = entries.findIndex((e) => rank(e.teams[0]) > rank(pair[0]));
+      entries.splice(at === -1 ? entries.length : at, 0, { teams: pair });
+    }
+  } else {
+    entries = board.field.map((t) => ({ teams: [t] }));
+  }
+  const placed = placeSCurve(entries, regionCount, regionSize);
+
+  const regions = ncaa68 ? REGION_NAMES.slice() : ["National"];
+  const seeds = {};
+  for (const t of u.teams) t.seedNote = "";
+  const order = bracketOrder(regionSize);
+  const firstRound = [];
+  const firstFour = [];
+  placed.forEach((regionEntries, r) => {
+    const bySeed = {};
+    for (const e of regionEntries) {
+      bySeed[e.seed] = e;
+      for (const t of e.teams) {
+        seeds[t.id] = { seed: e.seed, region: regions[r] };
+        t.seedNote = ncaa68 ? `${regions[r]} ${e.seed}` : `Seed ${e.seed}`;
+      }
+    }
+    for (let i = 0; i < order.length; i += 2) {
+      const hi = bySeed[order[i]];
+      const lo = bySeed[order[i + 1]];
+      const g = new Game(null, null, "NCAA", 0, true);
+      g.region = regions[r];
+      g.day = bracketDay(u, 0, Math.log2(size === 68 ? 64 : size));
+      firstRound.push(g);
+      for (const [e, side] of [
+        [hi, "homeId"],
+        [lo, "awayId"],
+      ]) {
+        if (e.teams.length === 1) {
+          g[side] = e.teams[0].id;
+          continue;
+        }
+        const ff = new Game(e.teams[0].id, e.teams[1].id, "NCAA", 0, true);
+        ff.region = regions[r];
+        ff.day = bracketDay(u, "ff");
+        ff.target = { game: firstRound.length - 1, side };
+        firstFour.push(ff);
+      }
+    }
+  });
+  u.bracket = { regions, regionSize, seeds, firstFour, rounds: [firstRound] };
+}
+
+// Every round of games in a bracket, First Four included.
+function bracketRounds(b) {
+  return b.firstFour && b.firstFour.length ? [b.firstFour, ...b.rounds] : b.rounds;
+}
+
+function roundLabel(teamsLeft) {
+  return (
+    { 2: "National Championship", 4: "Final Four", 8: "Elite Eight", 16: "Sweet 16" }[
+      teamsLeft
+    ] || `Round of ${teamsLeft}`
+  );
+}
+
+// Pairs off the winners of national bracket round `r` as round r + 1.
+function addBracketRound(u, r) {
+  const b = u.bracket;
+  const games = b.rounds[r];
+  const next = [];
+  for (let i = 0; i < games.length; i += 2) {
+    const g = new Game(winnerId(games[i]), winnerId(games[i + 1]), "NCAA", 0, true);
+    if (games[i].region === games[i + 1].region) g.region = games[i].region;
+    g.day = bracketDay(u, r + 1, Math.log2(b.rounds[0].length * 2));
+    next.push(g);
+  }
+  b.rounds.push(next);
+}
+
+function simBracket(u) {
+  if (!u.bracket) return;
+  const b = u.bracket;
+  const rnd = u.stream("bracket");
+  for (const g of b.firstFour || []) {
+    simulateGame(u, g, rnd);
+    b.rounds[0][g.target.game][g.target.side] = winnerId(g);
+    u.day = Math.max(u.day, g.day + 1);
+  }
+  for (let r = 0; ; r++) {
+    const games = b.rounds[r];
+    for (const g of games) simulateGame(u, g, rnd);
+    if (games[0].day != null) u.day = Math.max(u.day, games[0].day + 1);
+    if (games.length === 1) break;
+    if (!b.rounds[r + 1]) addBracketRound(u, r);
+  }
+  if (!u.quickSim) {
+    updateRatings(u);
+    updatePolls(u);
+    updateRecruiting(u);
+  }
+}
+
+// ---------- NIT & CBI ----------
+// Secondary postseason events for teams left out of the national field. The
+// NIT takes regular-season conference champions who missed the field, then
+// the best teams left on the selection board; higher seeds host until the
+// semifinals. The optional CBI takes the next best at one neutral site.
+// Both use the national bracket's shape (one region), so they render and
+// archive the same way.
+const SECONDARY_EVENTS = {
+  nit: { name: "NIT", max: 32, offsets: [2, 5, 9, 16, 18], neutralRounds: 2 },
+  cbi: { name: "CBI", max: 16, offsets: [3, 4, 6, 8], neutralRounds: Infinity },
+};
+
+// The 1 seed of each conference tournament, i.e. the regular-season winner.
+// Conferences without a tournament use their standings.
+function regularSeasonChampions(u) {
+  const champs = {};
+  const by = groupByConference(u.teams);
+  for (const conf of Object.keys(by)) {
+    const seeds = u.confSeeds[conf];
+    champs[conf] = seeds && seeds.length ? seeds[0] : standingsForConf(u, conf)[0].id;
+  }
+  return champs;
+}
+
+function eventFieldSize(max, available) {
+  let size = 1;
+  while (size * 2 <= Math.min(max, available)) size *= 2;
+  return size >= 4 ? size : 0;
+}
+
+function eventDay(u, key, r, totalRounds) {
+  const offsets = SECONDARY_EVENTS[key].offsets.slice(-totalRounds);
+  return seasonCalendar(u.year).selectionSunday + offsets[r];
+}
+
+// `ids` in seed order. Higher seeds are listed (and host) first.
+function buildEventBracket(u, key, ids) {
+  const ev = SECONDARY_EVENTS[key];
+  const size = ids.length;
+  const totalRounds = Math.log2(size);
+  const seeds = {};
+  ids.forEach((id, i) => (seeds[id] = { seed: i + 1, region: ev.name }));
+  const order = bracketOrder(size);
+  const firstRound = [];
+  for (let i = 0; i < order.length; i += 2) {
+    const neutral = totalRounds <= ev.neutralRounds;
+    const g = new Game(ids[order[i] - 1], ids[order[i + 1] - 1], ev.name, 0, neutral);
+    g.day = eventDay(u, key, 0, totalRounds);
+    firstRound.push(g);
+  }
+  return {
+    name: ev.name,
+    regions: [ev.name],
+    regionSize: size,
+    seeds,
+    firstFour: [],
+    rounds: [firstRound],
+  };
+}
+
+function buildSecondaryTournaments(u) {
+  u.nit = null;
+  u.cbi = null;
+  if (!u.bracket) return;
+  const taken = new Set(Object.keys(u.bracket.seeds).map(Number));
+  const sheets = teamSheets(u);
+  const board = u.teams
+    .filter((t) => !taken.has(t.id))
+    .sort((a, b) => selectionScore(b, sheets[b.id]) - selectionScore(a, sheets[a.id]));
+
+  const nitSize = eventFieldSize(SECONDARY_EVENTS.nit.max, board.length);
+  if (!nitSize) return;
+  const champs = new Set(Object.values(regularSeasonChampions(u)));
+  const autos = board.filter((t) => champs.has(t.id)).slice(0, nitSize);
+  const atLarge = board.filter((t) => !autos.includes(t)).slice(0, nitSize - autos.length);
+  const nit = board.filter((t) => autos.includes(t) || atLarge.includes(t));
+  u.nit = buildEventBracket(u, "nit", nit.map((t) => t.id));
+
+  if (!u.cbiEnabled) return;
+  const rest = board.filter((t) => !nit.includes(t));
+  const cbiSize = eventFieldSize(SECONDARY_EVENTS.cbi.max, rest.length);
+  if (cbiSize) {
+    u.cbi = buildEventBracket(u, "cbi", rest.slice(0, cbiSize).map((t) => t.id));
+  }
+}
+
+function eventRoundLabel(teamsLeft) {
+  return (
+    { 2: "Championship", 4: "Semifinals", 8: "Quarterfinals" }[teamsLeft] ||
+    `Round of ${teamsLeft}`
+  );
+}
+
+function eventChampion(b) {
+  if (!b) return null;
+  const last = b.rounds[b.rounds.length - 1];
+  return last.length === 1 && last[0].played ? winnerId(last[0]) : null;
+}
+
+// Pairs off the winners of round `r` of the NIT or CBI, better seed at home.
+function addEventRound(u, key, r) {
+  const b = u[key];
+  const ev = SECONDARY_EVENTS[key];
+  const totalRounds = Math.log2(b.regionSize);
+  const seedOf = (id) => b.seeds[id].seed;
+  const games = b.rounds[r];
+  const next = [];
+  for (let i = 0; i < games.length; i += 2) {
+    const [hi, lo] = [winnerId(games[i]), winnerId(games[i + 1])].sort(
+      (x, y) => seedOf(x) - seedOf(y)
+    );
+    const g = new Game(hi, lo, ev.name, 0, totalRounds - r - 1 <= ev.neutralRounds);
+    g.day = eventDay(u, key, r + 1, totalRounds);
+    next.push(g);
+  }
+  b.rounds.push(next);
+}
+
+// Plays an event bracket out, building each round from the last one's
+// winners with the better seed at home.
+function simEventBracket(u, key, rnd) {
+  const b = u[key];
+  for (let r = 0; ; r++) {
+    const games = b.rounds[r];
+    for (const g of games) simulateGame(u, g, rnd);
+    u.day = Math.max(u.day, games[0].day + 1);
+    if (games.length === 1) break;
+    if (!b.rounds[r + 1]) addEventRound(u, key, r);
+  }
+}
+
+function simSecondaryTournaments(u) {
+  const rnd = u.stream("bracket");
+  for (const key of Object.keys(SECONDARY_EVENTS)) if (u[key]) simEventBracket(u, key, rnd);
+  updateRatings(u);
+}
+
+// True once every NIT or CBI that was built has crowned a champion.
+function secondaryTournamentsComplete(u) {
+  return Object.keys(SECONDARY_EVENTS).every((key) => !u[key] || eventChampion(u[key]) != null);
+}
+
+function setCbiEnabled(u, enabled) {
+  u.cbiEnabled = !!enabled;
+}
+
+// ---------- Live games ----------
+// A single game played on its own so it can be watched. The calendar is
+// first brought up to the game's day, then the game is played from its
+// stage's stream exactly as the sim would play it, and its play-by-play is
+// kept on the game as `plays`: [period, clock, side, type, home, away] rows
+// (see playGame).
+const LIVE_MARGIN_SD = 11; // spread of a full game's final margin
+
+// The game at a seasonGames() `where`, or undefined.
+function gameAt(u, where) {
+  const [kind, a, b, c] = where;
+  if (kind === "s") return u.games[a];
+  if (kind === "c") return ((u.confTournaments[a] || [])[b] || [])[c];
+  const bracket = kind === "b" ? u.bracket : u[a];
+  const [r, i] = kind === "b" ? [a, b] : [b, c];
+  if (!bracket) return undefined;
+  return (r === "ff" ? bracket.firstFour || [] : bracket.rounds[r] || [])[i];
+}
+
+function playLiveGame(u, where) {
+  const g = gameAt(u, where);
+  if (!g) throw new Error("No such game.");
+  if (g.played) throw new Error("That game has already been played.");
+  if (g.homeId == null || g.awayId == null) throw new Error("Both teams aren't known yet.");
+  const plays = [];
+  const onEvent = (e) => plays.push([e.period, e.clock, e.side, e.type, e.home, e.away]);
+  const [kind] = where;
+  if (kind === "s" || kind === "c") {
+    if (g.day > u.day) simToDay(u, g.day);
+  } else {
+    u.day = Math.max(u.day, g.day);
+  }
+  if (kind === "s") {
+    playScheduledGame(u, g, u.stream("regular"), onEvent);
+  } else if (kind === "c") {
+    const [, conf, r] = where;
+    simulateGame(u, g, u.stream("conf"), onEvent);
+    const rounds = u.confTournaments[conf];
+    if (g.target) fillConfSlot(u, conf, rounds[r + 1][g.target.game], g.target.side, winnerId(g));
+  } else {
+    const key = kind === "b" ? null : where[1];
+    const b = key ? u[key] : u.bracket;
+    const r = key ? where[2] : where[1];
+    simulateGame(u, g, u.stream("bracket"), onEvent);
+    if (r === "ff") {
+      b.rounds[0][g.target.game][g.target.side] = winnerId(g);
+    } else if (b.rounds[r].length > 1 && !b.rounds[r + 1] && b.rounds[r].every((x) => x.played)) {
+      if (key) addEventRound(u, key, r);
+      else addBracketRound(u, r);
+    }
+  }
+  g.plays = plays;
+  updateRatings(u);
+  updatePolls(u);
+  updateRecruiting(u);
+}
+
+// Seconds left in regulation (or in the current overtime) at a play.
+function secondsLeft(period, clock) {
+  return period === 0 ? clock + HALF_SECONDS : clock;
+}
+
+// The home team's chances up by `lead` with `left` seconds to go, from its
+// pregame win probability. The pregame edge shrinks with the time left; a tie
+// at the buzzer is priced as the start of overtime.
+function liveWinProb(pregame, lead, left) {
+  const f = left / (2 * HALF_SECONDS);
+  if (f <= 0) return lead > 0 ? 1 : lead < 0 ? 0 : liveWinProb(pregame, 0, OT_SECONDS);
+  const edge = 6 * Math.log(pregame / (1 - pregame));
+  const x = (lead + edge * f) / (LIVE_MARGIN_SD * Math.sqrt(f));
+  return 1 / (1 + Math.exp(-1.7 * x));
+}
+
+// ---------- Efficiency ratings ----------
+// Opponent- and venue-adjusted offense, defense and tempo, solved iteratively
+// from every played game. SOS is the average opponent efficiency margin.
+const EFF_HOME_ADV = 0.014;
+const EFF_ITERATIONS = 25;
+
+function allPlayedGames(u) {
+  const out = u.games.filter((g) => g.played);
+  for (const rounds of Object.values(u.confTournaments)) {
+    for (const games of rounds) out.push(...games.filter((g) => g.played));
+  }
+  for (const b of [u.bracket, u.nit, u.cbi]) {
+    if (b) for (const games of bracketRounds(b)) out.push(...games.filter((g) => g.played));
+  }
+  return out;
+}
+
+function possessionsOf(g) {
+  if (!g.box) return 70;
+  const est = (t) => t.fga - t.oreb + t.tov + 0.475 * t.fta;
+  return (est(g.box.home) + est(g.box.away)) / 2;
+}
+
+function computeEfficiencyRatings(u) {
+  // Work on team indexes and typed arrays; this runs after every sim step and
+  // inside every projection iteration.
+  const N = u.teams.length;
+  const at = new Map(u.teams.map((t, i) => [t.id, i]));
+  const recs = u.teams.map(() => []);
+  let totPts = 0,
+    totPoss = 0,
+    n = 0;
+  for (const g of allPlayedGames(u)) {
+    const poss = possessionsOf(g);
+    const h = (g.homeScore / poss) * 100;
+    const a = (g.awayScore / poss) * 100;
+    const loc = g.neutral ? 0 : 1;
+    const hi = at.get(g.homeId);
+    const ai = at.get(g.awayId);
+    // venue-neutral offense and defense for each side
+    recs[hi].push({
+      opp: ai,
+      off: h / (1 + EFF_HOME_ADV * loc),
+      def: a / (1 - EFF_HOME_ADV * loc),
+      poss,
+    });
+    recs[ai].push({
+      opp: hi,
+      off: a / (1 - EFF_HOME_ADV * loc),
+      def: h / (1 + EFF_HOME_ADV * loc),
+      poss,
+    });
+    totPts += g.homeScore + g.awayScore;
+    totPoss += poss * 2;
+    n++;
+  }
+  if (n === 0) {
+    for (const t of u.teams) {
+      t.adjO = 0;
+      t.adjD = 0;
+      t.adjT = 0;
+      t.sos = 0;
+    }
+    return;
+  }
+  const avgEff = (totPts / totPoss) * 100;
+  const avgTempo = totPoss / 2 / n;
+  let O = new Float64Array(N).fill(avgEff),
+    D = new Float64Array(N).fill(avgEff),
+    T = new Float64Array(N).fill(avgTempo);
+  for (let it = 0; it < EFF_ITERATIONS; it++) {
+    const nO = O.slice(),
+      nD = D.slice(),
+      nT = T.slice();
+    for (let i = 0; i < N; i++) {
+      const rs = recs[i];
+      if (rs.length === 0) continue;
+      let o = 0,
+        d = 0,
+        tp = 0;
+      for (const r of rs) {
+        o += (r.off * avgEff) / D[r.opp];
+        d += (r.def * avgEff) / O[r.opp];
+        tp += (r.poss * avgTempo) / T[r.opp];
+      }
+      nO[i] = o / rs.length;
+      nD[i] = d / rs.length;
+      nT[i] = tp / rs.length;
+    }
+    O = nO;
+    D = nD;
+    T = nT;
+  }
+  u.teams.forEach((t, i) => {
+    const rs = recs[i];
+    t.adjO = O[i];
+    t.adjD = D[i];
+    t.adjT = T[i];
+    t.sos = rs.length ? rs.reduce((s, r) => s + (O[r.opp] - D[r.opp]), 0) / rs.length : 0;
+  });
+}
+
+function adjEM(t) {
+  return t.adjO - t.adjD;
+}
+
+function updateRatings(u) {
+  computeEfficiencyRatings(u);
+  computeNET(u);
+}
+
+// ---------- NET & team sheets ----------
+// NET blends adjusted efficiency margin with wins above bubble (WAB): how
+// many more games a team won than a bubble-level team would have against the
+// same schedule at the same venues.
+const NET_EM_WEIGHT = 0.6;
+const NET_HOME_PTS = 3;
+const QUAD_CUTOFFS = {
+  home: [30, 75, 160],
+  neutral: [50, 100, 200],
+  away: [75, 135, 240],
+};
+
+function bubbleWinProb(benchEM, oppEM, loc) {
+  const margin = (benchEM - oppEM) * 0.7 + loc * NET_HOME_PTS;
+  return 1 / (1 + Math.exp(-margin / 6.5));
+}
+
+function zScores(values) {
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const sd = Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length) || 1;
+  return values.map((v) => (v - mean) / sd);
+}
+
+function computeNET(u) {
+  const played = allPlayedGames(u);
+  if (played.length === 0) {
+    for (const t of u.teams) {
+      t.net = 0;
+      t.netScore = 0;
+      t.wab = 0;
+    }
+    return;
+  }
+  const byEM = u.teams.slice().sort((a, b) => adjEM(b) - adjEM(a));
+  const benchIdx = Math.min(byEM.length - 1, Math.round(bracketSize(u) * 0.7) - 1);
+  const benchEM = adjEM(byEM[benchIdx]);
+  const wab = {};
+  for (const t of u.teams) wab[t.id] = 0;
+  for (const g of played) {
+    const loc = g.neutral ? 0 : 1;
+    const home = teamById(u, g.homeId);
+    const away = teamById(u, g.awayId);
+    const homeWon = g.homeScore > g.awayScore;
+    wab[home.id] += (homeWon ? 1 : 0) - bubbleWinProb(benchEM, adjEM(away), loc);
+    wab[away.id] += (homeWon ? 0 : 1) - bubbleWinProb(benchEM, adjEM(home), -loc);
+  }
+  const zEM = zScores(u.teams.map(adjEM));
+  const zWAB = zScores(u.teams.map((t) => wab[t.id]));
+  u.teams.forEach((t, i) => {
+    t.wab = wab[t.id];
+    t.netScore = NET_EM_WEIGHT * zEM[i] + (1 - NET_EM_WEIGHT) * zWAB[i];
+  });
+  u.teams
+    .slice()
+    .sort((a, b) => b.netScore - a.netScore)
+    .forEach((t, i) => (t.net = i + 1));
+}
+
+// Quadrant cutoffs are defined for a 362-team Division I and scale with the
+// size of the universe.
+function quadCutoffs(u) {
+  const scale = u.teams.length / 362;
+  const cuts = {};
+  for (const venue of Object.keys(QUAD_CUTOFFS)) {
+    cuts[venue] = QUAD_CUTOFFS[venue].map((c) => Math.max(1, Math.round(c * scale)));
+  }
+  return cuts;
+}
+
+function quadrant(u, oppNet, venue, cuts = quadCutoffs(u)) {
+  return 1 + cuts[venue].filter((c) => oppNet > c).length;
+}
+
+function emptySheet(t) {
+  return {
+    id: t.id,
+    quads: [
+      [0, 0],
+      [0, 0],
+      [0, 0],
+      [0, 0],
+    ],
+    home: [0, 0],
+    away: [0, 0],
+    neutral: [0, 0],
+    worstLoss: null,
+  };
+}
+
+// Team sheets for every team: quad records, venue splits and worst loss,
+// judged against current NET ranks.
+function teamSheets(u) {
+  const sheets = {};
+  for (const t of u.teams) sheets[t.id] = emptySheet(t);
+  const cuts = quadCutoffs(u);
+  for (const g of allPlayedGames(u)) {
+    const homeWon = g.homeScore > g.awayScore;
+    for (const [id, oppId, won, venue] of [
+      [g.homeId, g.awayId, homeWon, g.neutral ? "neutral" : "home"],
+      [g.awayId, g.homeId, !homeWon, g.neutral ? "neutral" : "away"],
+    ]) {
+      const sh = sheets[id];
+      const opp = teamById(u, oppId);
+      const q = quadrant(u, opp.net, venue, cuts);
+      sh.quads[q - 1][won ? 0 : 1]++;
+      sh[venue][won ? 0 : 1]++;
+      if (!won) {
+        const w = sh.worstLoss;
+        if (!w || q > w.quad || (q === w.quad && opp.net > w.net)) {
+          sh.worstLoss = { oppId, net: opp.net, quad: q, venue };
+        }
+      }
+    }
+  }
+  return sheets;
+}
+
+// The committee's ordering: NET first, nudged by Quad 1 wins and Quad 3/4
+// losses.
+function selectionScore(t, sheet) {
+  const badLosses = sheet.quads[2][1] + sheet.quads[3][1];
+  return t.netScore + sheet.quads[0][0] * 0.05 - badLosses * 0.1;
+}
+
+// Automatic bids: conference tournament champions, or the regular-season
+// leader for conferences that haven't played their tournament yet.
+function autoBids(u) {
+  const champs = confChampions(u);
+  const by = groupByConference(u.teams);
+  const bids = {};
+  for (const conf of Object.keys(by)) {
+    bids[conf] = champs[conf] ?? standingsForConf(u, conf)[0].id;
+  }
+  return bids;
+}
+
+function selectionBoard(u) {
+  const size = bracketSize(u);
+  const sheets = teamSheets(u);
+  const score = (t) => selectionScore(t, sheets[t.id]);
+  const byScore = (a, b) => score(b) - score(a);
+  const bids = autoBids(u);
+  const champs = confChampions(u);
+  const autoIds = new Set(Object.values(bids));
+  const autos = u.teams.filter((t) => autoIds.has(t.id)).sort(byScore).slice(0, size);
+  const atLarge = u.teams.filter((t) => !autoIds.has(t.id)).sort(byScore);
+  const spots = size - autos.length;
+  const inAL = atLarge.slice(0, spots);
+  const out = atLarge.slice(spots);
+  return {
+    size,
+    sheets,
+    autoIds,
+    projected: Object.keys(bids).some((conf) => !(conf in champs)),
+    field: autos.concat(inAL).sort(byScore),
+    lastFourByes: inAL.slice(Math.max(0, spots - 8), Math.max(0, spots - 4)),
+    lastFourIn: inAL.slice(Math.max(0, spots - 4)),
+    firstFourOut: out.slice(0, 4),
+    nextFourOut: out.slice(4, 8),
+  };
+}
+
+// ---------- Seasons & history ----------
+function winnerId(g) {
+  return g.homeScore > g.awayScore ? g.homeId : g.awayId;
+}
+
+function confChampions(u) {
+  const champs = {};
+  for (const conf of Object.keys(u.confTournaments)) {
+    const rounds = u.confTournaments[conf];
+    if (!rounds || rounds.length === 0) continue;
+    const last = rounds[rounds.length - 1];
+    const cg = last[last.length - 1];
+    if (cg.played) champs[conf] = winnerId(cg);
+  }
+  return champs;
+}
+
+function nationalChampion(u) {
+  if (!u.bracket || u.bracket.rounds.length === 0) return null;
+  const last = u.bracket.rounds[u.bracket.rounds.length - 1];
+  if (last.length !== 1 || !last[0].played) return null;
+  return winnerId(last[0]);
+}
+
+// Where the season stands, for save summaries.
+function seasonPhase(u) {
+  if (u.games.length === 0) return "Preseason";
+  if (u.games.some((g) => !g.played)) return "Regular season";
+  if (!confTournamentsComplete(u)) return "Conference tournaments";
+  if (!u.bracket) return "Selection Sunday";
+  if (nationalChampion(u) == null) return "NCAA Tournament";
+  if (!secondaryTournamentsComplete(u)) return "NIT / CBI";
+  if (portalOpen(u)) return "Transfer portal";
+  return "Season complete";
+}
+
+function bracketWins(b) {
+  const wins = {};
+  if (!b) return wins;
+  for (const games of bracketRounds(b)) {
+    for (const g of games) {
+      if (!g.played) continue;
+      const id = winnerId(g);
+      wins[id] = (wins[id] || 0) + 1;
+    }
+  }
+  return wins;
+}
+
+// Every game of the season with a label for what it was part of, in date
+// order. `where` locates it: ["s", index] in u.games, ["c", conf, round,
+// index], ["b", round or "ff", index] or ["p", "nit" | "cbi", round, index].
+function seasonGames(u) {
+  const out = [];
+  u.games.forEach((g, i) => {
+    const stage = g.event != null ? u.events[g.event].name : g.conf || "Non-conference";
+    out.push({ game: g, stage, where: ["s", i] });
+  });
+  for (const conf of Object.keys(u.confTournaments)) {
+    u.confTournaments[conf].forEach((games, r) => {
+      const stage = `${conf} Tournament`;
+      games.forEach((g, i) => out.push({ game: g, stage, where: ["c", conf, r, i] }));
+    });
+  }
+  for (const [key, b] of [
+    ["b", u.bracket],
+    ["nit", u.nit],
+    ["cbi", u.cbi],
+  ]) {
+    if (!b) continue;
+    const prefix = key === "b" ? ["b"] : ["p", key];
+    const label = (games) =>
+      b.name
+        ? `${b.name} ${eventRoundLabel(games.length * 2)}`
+        : `NCAA ${roundLabel(games.length * 2)}`;
+    (b.firstFour || []).forEach((g, i) =>
+      out.push({ game: g, stage: "NCAA First Four", where: [...prefix, "ff", i] })
+    );
+    b.rounds.forEach((games, r) => {
+      games.forEach((g, i) => out.push({ game: g, stage: label(games), where: [...prefix, r, i] }));
+    });
+  }
+  return out.sort((a, b) => (a.game.day ?? 0) - (b.game.day ?? 0));
+}
+
+// Played games as compact rows, [day, homeId, awayId, homeScore, awayScore,
+// neutral (0 or 1), stage]. Archived seasons keep these as `results`.
+function seasonResults(u) {
+  return seasonGames(u)
+    .filter((e) => e.game.played)
+    .map(({ game: g, stage }) => [
+      g.day,
+      g.homeId,
+      g.awayId,
+      g.homeScore,
+      g.awayScore,
+      g.neutral ? 1 : 0,
+      stage,
+    ]);
+}
+
+// Meetings between two teams, this season and every archived season that
+// kept its results, oldest first.
+function headToHead(u, a, b) {
+  const seasons = [
+    ...u.history.filter((h) => h.results).map((h) => ({ year: h.year, results: h.results })),
+    { year: u.year, results: seasonResults(u) },
+  ];
+  const out = [];
+  for (const { year, results } of seasons) {
+    for (const [day, homeId, awayId, homeScore, awayScore, neutral, stage] of results) {
+      if ((homeId === a && awayId === b) || (homeId === b && awayId === a)) {
+        out.push({ year, day, homeId, awayId, homeScore, awayScore, neutral: !!neutral, stage });
+      }
+    }
+  }
+  return out;
+}
+
+function archiveSeason(u) {
+  const names = {};
+  for (const t of u.teams) names[t.id] = t.name;
+  const standings = {};
+  const by = groupByConference(u.teams);
+  for (const conf of Object.keys(by)) {
+    standings[conf] = standingsForConf(u, conf).map((t) => ({
+      id: t.id,
+      cw: t.cw,
+      cl: t.cl,
+      w: t.w,
+      l: t.l,
+      sos: t.sos,
+      adjO: t.adjO,
+      adjD: t.adjD,
+      net: t.net,
+      rating: t.rating,
+      seedNote: t.seedNote,
+    }));
+  }
+  return {
+    year: u.year,
+    names,
+    standings,
+    confChamps: confChampions(u),
+    bracket: u.bracket ? JSON.parse(JSON.stringify(u.bracket)) : null,
+    nit: u.nit ? JSON.parse(JSON.stringify(u.nit)) : null,
+    cbi: u.cbi ? JSON.parse(JSON.stringify(u.cbi)) : null,
+    results: seasonResults(u),
+    champion: nationalChampion(u),
+  };
+}
+
+// Regress each rating toward its conference average, then push it by how the
+// season went (win% and national tournament wins) and the coach, plus a
+// little noise.
+function evolveRatings(u) {
+  const rnd = u.stream("offseason");
+  const by = groupByConference(u.teams);
+  const confAvg = {};
+  for (const conf of Object.keys(by)) {
+    confAvg[conf] = by[conf].reduce((s, t) => s + t.rating, 0) / by[conf].length;
+  }
+  const wins = bracketWins(u.bracket);
+  const avgWins = Object.values(wins).reduce((s, n) => s + n, 0) / u.teams.length;
+  // Postseason losses pull the league's win% under .500, so center it on the
+  // league mean the same way.
+  const winPctOf = (t) => (t.w + t.l ? t.w / (t.w + t.l) : 0.5);
+  const avgWinPct = u.teams.reduce((s, t) => s + winPctOf(t), 0) / u.teams.length;
+  for (const t of u.teams) {
+    const coach = coachOf(u, t);
+    const momentum =
+      (winPctOf(t) - avgWinPct) * 8 +
+      ((wins[t.id] || 0) - avgWins) * 0.75 +
+      (coach ? (coachQuality(coach) - 50) * COACH_RATING_PULL : 0);
+    const noise = (rnd() - 0.5) * 4;
+    const next = confAvg[t.conf] + (t.rating - confAvg[t.conf]) * 0.7 + momentum + noise;
+    t.rating = Math.max(30, Math.min(95, Math.round(next)));
+  }
+}
+
+function advanceSeason(u) {
+  // The transfer portal below waits on every postseason event, so an NIT or
+  // CBI left unfinished is played out first and archived with the season.
+  if (!secondaryTournamentsComplete(u)) simSecondaryTournaments(u);
+  u.history.push(archiveSeason(u));
+  closeBooks(u);
+  evolveRatings(u);
+  updateRecruiting(u);
+  if (!portalOpen(u)) runTransferPortal(u, runCoachingCarousel(u));
+  advanceRosters(u);
+  for (const t of u.teams) {
+    t.w = 0;
+    t.l = 0;
+    t.cw = 0;
+    t.cl = 0;
+    t.sos = 0;
+    t.rs = 0;
+    t.seedNote = "";
+    t.adjO = 0;
+    t.adjD = 0;
+    t.adjT = 0;
+    t.net = 0;
+    t.netScore = 0;
+    t.wab = 0;
+  }
+  u.year++;
+  u.rngs.newSeason(u.year);
+  u.day = 0;
+  u.games = [];
+  u.events = [];
+  u.confTournaments = {};
+  u.confSeeds = {};
+  u.bracket = null;
+  u.nit = null;
+  u.cbi = null;
+  u.polls = [];
+  u.pollBallots = [];
+  if (u.gm) u.gm.nonConf = [];
+  generateRecruitClass(u);
+}
+
+// ---------- Polls ----------
+// A weekly Top 25 from a panel of simulated voters. The preseason poll goes
+// by ratings; after that a poll is taken each Monday from the results before
+// it, through the Monday after Selection Sunday, plus a final poll once the
+// national champion is crowned. Each voter weighs record, quality wins and bad
+// losses, recent form and the preseason pecking order a little differently,
+// and starts from their own previous ballot. Voter noise is seeded by the
+// universe, year and day, so the polls don't depend on how the season was
+// simmed.
+const POLL_VOTERS = 62;
+const POLL_SIZE = 25;
+const POLL_RECENT_DAYS = 14;
+const POLL_WEIGHTS = { record: 1, quality: 0.6, recent: 0.35, prior: 2.5, inertia: 0.8, noise: 0.2 };
+// Games played before the preseason order stops mattering much.
+const POLL_PRIOR_GAMES = 12;
+
+// A voter's own take on POLL_WEIGHTS, the same every season.
+function pollVoter(u, v) {
+  const rnd = rng(hashString(`${u.rngs.seed}|voter|${v}`));
+  const w = {};
+  for (const k of Object.keys(POLL_WEIGHTS)) w[k] = POLL_WEIGHTS[k] * (0.7 + rnd() * 0.6);
+  return w;
+}
+
+// A poll's votes are [id, points, first-place votes, wins, losses] rows, best
+// first; the top 25 are ranked and the rest are "others receiving votes".
+// Returns { id: rank } for the ranked teams; tied points share a rank.
+function pollRanks(poll) {
+  const ranks = {};
+  if (!poll) return ranks;
+  poll.votes.slice(0, POLL_SIZE).forEach(([id, points], i, votes) => {
+    ranks[id] = i > 0 && votes[i - 1][1] === points ? ranks[votes[i - 1][0]] : i + 1;
+  });
+  return ranks;
+}
+
+// The poll in effect on `day`: the latest one taken on or before it.
+function pollOn(u, day) {
+  let out = null;
+  for (const p of u.polls) if (p.day <= day) out = p;
+  return out;
+}
+
+// Résumé features for every team from results before `day`, in u.teams order.
+function pollResumes(u, day, prevRanks) {
+  const results = seasonResults(u).filter((r) => r[0] < day);
+  const rec = {};
+  for (const t of u.teams) rec[t.id] = { w: 0, l: 0, quality: 0, recent: 0 };
+  for (const [, homeId, awayId, homeScore, awayScore] of results) {
+    rec[homeScore > awayScore ? homeId : awayId].w++;
+    rec[homeScore > awayScore ? awayId : homeId].l++;
+  }
+  const winPct = (id) => (rec[id].w + rec[id].l ? rec[id].w / (rec[id].w + rec[id].l) : 0.5);
+  for (const [d, homeId, awayId, homeScore, awayScore] of results) {
+    const [winner, loser] = homeScore > awayScore ? [homeId, awayId] : [awayId, homeId];
+    const loserRank = prevRanks[loser];
+    const winnerRank = prevRanks[winner];
+    rec[winner].quality += loserRank ? (loserRank <= 10 ? 1.5 : 1) : winPct(loser) - 0.5;
+    rec[loser].quality -= winnerRank ? 0.2 : winPct(winner) < 0.5 ? 1.2 : 0.5;
+    if (day - d <= POLL_RECENT_DAYS) {
+      rec[winner].recent += 1;
+      rec[loser].recent -= 1.5;
+    }
+  }
+  const resumes = u.teams.map((t) => rec[t.id]);
+  const zRecord = zScores(resumes.map((r) => r.w - 1.6 * r.l));
+  const zQuality = zScores(resumes.map((r) => r.quality));
+  const zRecent = zScores(resumes.map((r) => r.recent));
+  const zPrior = zScores(u.teams.map((t) => t.rating));
+  return resumes.map((r, i) => ({
+    w: r.w,
+    l: r.l,
+    record: zRecord[i],
+    quality: zQuality[i],
+    recent: zRecent[i],
+    prior: zPrior[i] * Math.max(0.1, 1 - (r.w + r.l) / POLL_PRIOR_GAMES),
+  }));
+}
+
+function takePoll(u, day, label) {
+  const prev = u.polls[u.polls.length - 1];
+  const resumes = pollResumes(u, day, pollRanks(prev));
+  const rnd = rng(hashString(`${u.rngs.seed}|poll|${u.year}|${day}`));
+  const points = {};
+  const firsts = {};
+  const ballots = [];
+  for (let v = 0; v < POLL_VOTERS; v++) {
+    const w = pollVoter(u, v);
+    const last = {};
+    (u.pollBallots[v] || []).forEach((id, i) => (last[id] = i));
+    const scores = u.teams.map((t, i) => {
+      const r = resumes[i];
+      let s = w.record * r.record + w.quality * r.quality + w.recent * r.recent + w.prior * r.prior;
+      if (t.id in last) s += (w.inertia * (POLL_SIZE - last[t.id])) / POLL_SIZE;
+      return { id: t.id, s: s + normal(rnd) * w.noise };
+    });
+    scores.sort((a, b) => b.s - a.s);
+    const ballot = scores.slice(0, POLL_SIZE).map((e) => e.id);
+    ballot.forEach((id, i) => (points[id] = (points[id] || 0) + POLL_SIZE - i));
+    firsts[ballot[0]] = (firsts[ballot[0]] || 0) + 1;
+    ballots.push(ballot);
+  }
+  const recordOf = {};
+  u.teams.forEach((t, i) => (recordOf[t.id] = [resumes[i].w, resumes[i].l]));
+  const votes = Object.keys(points)
+    .map((id) => [Number(id), points[id], firsts[id] || 0, ...recordOf[id]])
+    .sort((a, b) => b[1] - a[1] || b[2] - a[2] || a[0] - b[0]);
+  u.polls.push({ label, day, votes });
+  u.pollBallots = ballots;
+}
+
+// Takes any polls that are due: the preseason poll once there's a schedule,
+// one for each Monday the calendar has reached, and the final poll.
+function updatePolls(u) {
+  if (u.games.length === 0) return;
+  if (u.polls.length === 0) takePoll(u, 0, "Preseason");
+  const last = u.polls[u.polls.length - 1];
+  if (last.label === "Final") return;
+  const through = Math.min(u.day, seasonCalendar(u.year).selectionSunday + 1);
+  for (let d = last.day - (last.day % 7) + 7; d <= through; d += 7) {
+    takePoll(u, d, `Week ${weekOfDay(d)}`);
+  }
+  if (nationalChampion(u) != null) takePoll(u, u.day, "Final");
+}
+
+// ---------- Recruiting ----------
+// Each season brings a class of high-school prospects, ranked and starred by
+// talent. Prospects commit over the season, each on their own decision day:
+// programs offer the prospects at their level who fit a scholarship open next
+// season, and a prospect weighs those offers by prestige, conference
+// strength, recent success and distance from home, with priorities of their
+// own. Commitments sign at the end of the season and join the roster as
+// freshmen; leftover spots go to walk-ons.
+//
+// Home regions sit on a rough map, in hundreds of miles.
+const HOME_REGIONS = {
+  Northeast: [17, 9],
+  "Mid-Atlantic": [15, 6.5],
+  Southeast: [14, 2.5],
+  Midwest: [11, 7.5],
+  "South Central": [8, 3],
+  Mountain: [4, 6],
+  "West Coast": [0.5, 6],
+};
+// Where prospects come from.
+const PROSPECT_REGION_WEIGHTS = {
+  Northeast: 0.12,
+  "Mid-Atlantic": 0.16,
+  Southeast: 0.22,
+  Midwest: 0.16,
+  "South Central": 0.16,
+  Mountain: 0.06,
+  "West Coast": 0.12,
+};
+const RECRUITS_PER_TEAM = 3.5;
+// Share of the class at or above each star rating; the rest are 2-star.
+const STAR_SHARES = [
+  [5, 0.03],
+  [4, 0.15],
+  [3, 0.5],
+];
+// A prospect's freshman overall sits this far below the rating of a program
+// at the same rank, with a bump for the very best.
+const PROSPECT_GAP = 8;
+const PROSPECT_TOP_BUMP = 5;
+const EARLY_SIGNING = [7, 14]; // days of the early signing period
+const EARLY_SHARE = 0.35;
+const LATE_SIGNING_DAYS = 35; // decisions run this long past Selection Sunday
+// A program offers prospects ranked up to this share of the class below its
+// own rank among programs.
+const OFFER_REACH = 0.25;
+const RECRUIT_PRIORITIES = { prestige: 1, conf: 0.5, success: 0.7, distance: 0.12 };
+const WALK_ON_GAP = 14; // walk-ons start this far below the program's rating
+
+function defaultRegion(school) {
+  const names = Object.keys(HOME_REGIONS);
+  return names[hashString(String(school)) % names.length];
+}
+
+function regionDistance(a, b) {
+  const [ax, ay] = HOME_REGIONS[a];
+  const [bx, by] = HOME_REGIONS[b];
+  return Math.hypot(ax - bx, ay - by);
+}
+
+function generateRecruitClass(u) {
+  const rnd = u.stream("recruiting");
+  const n = Math.round(u.teams.length * RECRUITS_PER_TEAM);
+  const lastDay = seasonCalendar(u.year).selectionSunday + LATE_SIGNING_DAYS;
+  const regions = Object.keys(PROSPECT_REGION_WEIGHTS);
+  const ratings = u.teams.map((t) => t.rating).sort((a, b) => b - a);
+  u.recruits = [];
+  u.recruitDay = 0;
+  for (let i = 0; i < n; i++) {
+    const share = i / n;
+    const stars = (STAR_SHARES.find(([, s]) => share < s) || [2])[0];
+    const level = ratings[Math.floor(share * ratings.length)];
+    const target =
+      level - PROSPECT_GAP + PROSPECT_TOP_BUMP * (1 - share) ** 6 + (rnd() - 0.5) * 4;
+    const p = generatePlayer(u, pick(POSITIONS, rnd), "FR", target, rnd);
+    const [first, last] = EARLY_SIGNING;
+    const day =
+      rnd() < EARLY_SHARE
+        ? first + Math.floor(rnd() * (last - first + 1))
+        : Math.floor(rnd() * (lastDay + 1));
+    const wants = {};
+    for (const k of Object.keys(RECRUIT_PRIORITIES)) {
+      wants[k] = Math.round(RECRUIT_PRIORITIES[k] * (0.4 + rnd() * 1.2) * 100) / 100;
+    }
+    u.recruits.push(
+      Object.assign({}, p, {
+        rank: i + 1,
+        stars,
+        region: weightedPick(regions, (r) => PROSPECT_REGION_WEIGHTS[r], rnd),
+        day,
+        teamId: null,
+        wants,
+      })
+    );
+  }
+}
+
+// Scholarships each program has open for next season.
+function openScholarships(u) {
+  const spots = {};
+  for (const t of u.teams) {
+    spots[t.id] = ROSTER_SIZE - t.roster.filter((p) => p.cls !== "SR").length;
+  }
+  for (const p of u.recruits) if (p.teamId != null) spots[p.teamId]--;
+  return spots;
+}
+
+// How programs look to prospects on `day`, as z-scores by team id: prestige
+// (rating), conference strength (average rating), recent success (the last
+// two seasons, then this one as it goes) and the head coach's recruiting,
+// plus each program's offer reach as a share of the class. `results` is
+// seasonResults(u).
+function recruitingPull(u, day, results) {
+  const by = groupByConference(u.teams);
+  const confAvg = {};
+  for (const conf of Object.keys(by)) {
+    confAvg[conf] = by[conf].reduce((s, t) => s + t.rating, 0) / by[conf].length;
+  }
+  const past = u.history.slice(-2).map((h) => {
+    const out = {};
+    for (const rows of Object.values(h.standings)) {
+      for (const r of rows) out[r.id] = r.w + r.l ? r.w / (r.w + r.l) : 0.5;
+    }
+    const wins = h.bracket ? bracketWins(h.bracket) : {};
+    for (const id of Object.keys(wins)) out[id] = (out[id] ?? 0.5) + wins[id] * 0.05;
+    return out;
+  });
+  const rec = {};
+  for (const t of u.teams) rec[t.id] = [0, 0];
+  for (const [d, homeId, awayId, homeScore, awayScore] of results) {
+    if (d >= day) continue;
+    rec[homeId][homeScore > awayScore ? 0 : 1]++;
+    rec[awayId][homeScore > awayScore ? 1 : 0]++;
+  }
+  const success = u.teams.map((t) => {
+    const before = past.length ? past.reduce((s, p) => s + (p[t.id] ?? 0.5), 0) / past.length : 0.5;
+    const [w, l] = rec[t.id];
+    const now = Math.min(0.5, (w + l) / 60);
+    return before * (1 - now) + (w + l ? w / (w + l) : 0.5) * now;
+  });
+  const zPrestige = zScores(u.teams.map((t) => t.rating));
+  const zConf = zScores(u.teams.map((t) => confAvg[t.conf]));
+  const zSuccess = zScores(success);
+  const zCoach = zScores(
+    u.teams.map((t) => {
+      const c = coachOf(u, t);
+      return c ? c.recruiting : 50;
+    })
+  );
+  const zFacilities = zScores(u.teams.map((t) => financeOf(u, t).facilities));
+  const zNil = zScores(u.teams.map((t) => nilPower(financeOf(u, t))));
+  const pull = {};
+  u.teams.forEach((t, i) => {
+    pull[t.id] = {
+      prestige: zPrestige[i],
+      conf: zConf[i],
+      success: zSuccess[i],
+      coach: zCoach[i],
+      facilities: zFacilities[i],
+      nil: zNil[i],
+    };
+  });
+  u.teams
+    .slice()
+    .sort((a, b) => b.rating - a.rating)
+    .forEach((t, i) => (pull[t.id].reach = i / u.teams.length + OFFER_REACH));
+  return pull;
+}
+
+// A prospect's interest in a program, before the noise of the decision.
+function recruitInterest(u, p, t, pull) {
+  const w = p.wants;
+  const q = pull[t.id];
+  return (
+    w.prestige * q.prestige +
+    w.conf * q.conf +
+    w.success * q.success +
+    COACH_RECRUITING_WEIGHT * q.coach +
+    FIN_RECRUITING.facilities * q.facilities +
+    FIN_RECRUITING.nil * q.nil -
+    w.distance * regionDistance(p.region, t.region)
+  );
+}
+
+function offersProspect(u, p, t, pull) {
+  return (p.rank - 1) / u.recruits.length <= pull[t.id].reach;
+}
+
+// Programs recruiting a prospect, most likely destination first.
+function recruitLeaders(u, p, pull, spots) {
+  return u.teams
+    .filter((t) => spots[t.id] > 0 && offersProspect(u, p, t, pull))
+    .map((t) => ({ id: t.id, interest: recruitInterest(u, p, t, pull) }))
+    .sort((a, b) => b.interest - a.interest);
+}
+
+// Settles every decision due before `through`, in day then rank order. A
+// prospect with no open offer goes unsigned.
+function settleRecruits(u, through) {
+  const due = u.recruits
+    .filter((p) => p.teamId == null && p.day >= u.recruitDay && p.day < through)
+    .sort((a, b) => a.day - b.day || a.rank - b.rank);
+  if (due.length === 0) {
+    u.recruitDay = Math.max(u.recruitDay, through);
+    return;
+  }
+  const rnd = u.stream("recruiting");
+  const results = seasonResults(u);
+  const spots = openScholarships(u);
+  let pull = null;
+  let pullDay = null;
+  for (const p of due) {
+    if (p.day !== pullDay) {
+      pull = recruitingPull(u, p.day, results);
+      pullDay = p.day;
+    }
+    let best = null;
+    let bestScore = -Infinity;
+    for (const t of u.teams) {
+      const noise = normal(rnd) * 0.5;
+      if (spots[t.id] <= 0 || !offersProspect(u, p, t, pull)) continue;
+      const s = recruitInterest(u, p, t, pull) + noise;
+      if (s > bestScore) {
+        best = t;
+        bestScore = s;
+      }
+    }
+    if (best) {
+      p.teamId = best.id;
+      spots[best.id]--;
+    }
+  }
+  u.recruitDay = Math.max(u.recruitDay, through);
+}
+
+// The day after the last decision, when the signing period is over.
+function signingClosed(u) {
+  return u.recruits.reduce((d, p) => Math.max(d, p.day + 1), u.recruitDay);
+}
+
+// Decisions due by the current day. Saves from before recruiting get their
+// first class here.
+function updateRecruiting(u) {
+  if (u.recruits.length === 0) generateRecruitClass(u);
+  settleRecruits(u, u.day);
+}
+
+// Class rankings: each program's commits, best first, and class points, with
+// every extra commit counting a little less.
+function recruitingClasses(u) {
+  const by = {};
+  for (const p of u.recruits) {
+    if (p.teamId == null) continue;
+    if (!by[p.teamId]) by[p.teamId] = [];
+    by[p.teamId].push(p);
+  }
+  return Object.keys(by)
+    .map((id) => {
+      const commits = by[id].sort((a, b) => a.rank - b.rank);
+      const points = commits.reduce((s, p, i) => s + (playerOverall(p) - 40) * 0.85 ** i, 0);
+      return { id: Number(id), commits, points };
+    })
+    .sort((a, b) => b.points - a.points || a.id - b.id);
+}
+
+// ---------- Transfer portal ----------
+// Once the national tournament is over and the signing period has closed,
+// returning players can enter the portal, which frees their scholarship.
+// Programs with an open scholarship bid on the entrants who would crack their
+// rotation, and each entrant takes the best bid; one with no bid leaves the
+// program unsigned. Moves happen on the rosters themselves, so next season's
+// teamStrength() carries them.
+
+// Logit of a returning player entering: a base rate, plus the minutes he
+// didn't get, how far under .500 his team finished and a coaching change.
+const PORTAL_ENTRY = { base: -3.2, minutes: 2.2, losing: 3, coach: 1.2 };
+const PORTAL_BID = { conf: 0.8, need: 1, noise: 0.5 };
+const PORTAL_REASONS = {
+  minutes: "Playing time",
+  losing: "Losing season",
+  coach: "Coaching change",
+  fresh: "Fresh start", // the base rate alone
+};
+
+function portalOpen(u) {
+  return u.portal != null && u.portal.year === u.year;
+}
+
+// Next season's core: returning players plus signed recruits.
+function returningPlayers(u) {
+  const out = {};
+  for (const t of u.teams) out[t.id] = t.roster.filter((p) => p.cls !== "SR");
+  for (const p of u.recruits) if (p.teamId != null) out[p.teamId].push(new Player(p));
+  return out;
+}
+
+// Ovr a newcomer has to beat to play in a program's rotation next season.
+function rotationFloor(players) {
+  const ovrs = players.map((p) => p.ovr).sort((a, b) => b - a);
+  return ovrs.length < ROTATION_WEIGHTS.length ? -Infinity : ovrs[ROTATION_WEIGHTS.length - 1];
+}
+
+// `newCoaches` lists programs that changed head coaches this offseason; their
+// players are likelier to leave.
+function runTransferPortal(u, newCoaches = []) {
+  updateRecruiting(u);
+  settleRecruits(u, signingClosed(u));
+  const rnd = u.stream("portal");
+  const core = returningPlayers(u);
+  const before = {};
+  for (const t of u.teams) before[t.id] = teamStrength({ roster: core[t.id] });
+
+  const entrants = [];
+  for (const t of u.teams) {
+    const gp = t.w + t.l;
+    const winPct = gp ? t.w / gp : 0.5;
+    t.roster
+      .slice()
+      .sort((a, b) => b.ovr - a.ovr)
+      .forEach((p, i) => {
+        const terms = {
+          minutes: PORTAL_ENTRY.minutes * (1 - (ROTATION_WEIGHTS[i] ?? 0)),
+          losing: PORTAL_ENTRY.losing * Math.max(0, 0.5 - winPct),
+          coach: newCoaches.includes(t.id) ? PORTAL_ENTRY.coach : 0,
+        };
+        const logit = PORTAL_ENTRY.base + terms.minutes + terms.losing + terms.coach;
+        if (rnd() >= 1 / (1 + Math.exp(-logit)) || p.cls === "SR") return;
+        const top = Object.keys(terms).sort((a, b) => terms[b] - terms[a])[0];
+        const reason = terms[top] > 0 ? top : "fresh";
+        entrants.push({ player: p, fromId: t.id, reason });
+      });
+  }
+  entrants.sort((a, b) => b.player.ovr - a.player.ovr || a.player.id - b.player.id);
+  const spots = openScholarships(u);
+  for (const { player, fromId } of entrants) {
+    const from = teamById(u, fromId);
+    from.roster = from.roster.filter((x) => x !== player);
+    core[fromId] = core[fromId].filter((x) => x !== player);
+    spots[fromId]++;
+  }
+
+  const by = groupByConference(u.teams);
+  const confAvg = {};
+  for (const conf of Object.keys(by)) {
+    confAvg[conf] = by[conf].reduce((s, t) => s + t.rating, 0) / by[conf].length;
+  }
+  const zConf = zScores(u.teams.map((t) => confAvg[t.conf]));
+  const rows = [];
+  for (const e of entrants) {
+    const p = e.player;
+    let best = null;
+    let bestScore = -Infinity;
+    u.teams.forEach((t, i) => {
+      const noise = normal(rnd) * PORTAL_BID.noise;
+      if (t.id === e.fromId || spots[t.id] <= 0) return;
+      const floor = rotationFloor(core[t.id]);
+      if (p.ovr <= floor) return;
+      const need = Math.min(2, (p.ovr - floor) / 5);
+      const s = PORTAL_BID.conf * zConf[i] + PORTAL_BID.need * need + noise;
+      if (s > bestScore) {
+        best = t;
+        bestScore = s;
+      }
+    });
+    if (best) {
+      best.roster.push(p);
+      core[best.id].push(p);
+      spots[best.id]--;
+    }
+    rows.push({
+      id: p.id,
+      name: p.name,
+      pos: p.pos,
+      cls: p.cls,
+      ovr: Math.round(p.ovr * 10) / 10,
+      fromId: e.fromId,
+      toId: best ? best.id : null,
+      reason: e.reason,
+    });
+  }
+
+  const net = {};
+  for (const t of u.teams) {
+    net[t.id] = Math.round((teamStrength({ roster: core[t.id] }) - before[t.id]) * 10) / 10;
+  }
+  u.portal = { year: u.year, entrants: rows, net };
+}
+
+function openTransferPortal(u) {
+  if (nationalChampion(u) == null || !secondaryTournamentsComplete(u)) {
+    throw new Error(
+      "The transfer portal opens once the national tournament, NIT and CBI are over."
+    );
+  }
+  if (portalOpen(u)) throw new Error("The transfer portal is already open.");
+  runTransferPortal(u, runCoachingCarousel(u));
+}
+
+// ---------- Coaches ----------
+// Every program has a head coach. Tactics add to game strength, development
+// speeds up player growth, recruiting draws prospects and tempo sets the
+// coach's preferred pace. Coach attributes run 25..99 around 50, so an
+// average staff changes nothing. `heat` is the hot seat: it rises with
+// seasons under expectations and cools with good ones.
+const COACH_ATTRS = ["tactics", "development", "recruiting"];
+const COACH_TEMPO = 68; // possessions per 40 minutes for an average coach
+const COACH_TACTICS_EDGE = 0.06; // game strength per tactics point over 50
+const COACH_RATING_PULL = 0.04; // offseason rating change per quality point over 50
+const COACH_RECRUITING_WEIGHT = 0.4;
+const COACH_CONTRACT = [3, 6]; // years on a new deal
+const HOT_SEAT = { warm: 0.25, hot: 0.6, fired: 0.9 };
+const COACH_MOVE_WIN_PCT = 0.65; // recent win% that gets a coach looked at by bigger jobs
+const COACH_RETIRE_AGE = [65, 72]; // retirements start, and everyone's gone by
+const COACH_IDLE_YEARS = 3; // out of work this long and a coach retires
+const COACH_FIRST_JOB_GAP = 5; // first-time head coaches come in a notch below the job
+
+// id -> position in u.coaches, trusted the same way as teamIndex.
+const coachIndex = new WeakMap();
+
+function coachById(u, id) {
+  let idx = coachIndex.get(u.coaches);
+  let i = idx && idx.get(id);
+  if (i === undefined || u.coaches[i]?.id !== id) {
+    idx = new Map(u.coaches.map((c, k) => [c.id, k]));
+    coachIndex.set(u.coaches, idx);
+    i = idx.get(id);
+  }
+  return i === undefined ? null : u.coaches[i];
+}
+
+function coachOf(u, t) {
+  return t.coachId != null ? coachById(u, t.coachId) : null;
+}
+
+function coachQuality(c) {
+  return COACH_ATTRS.reduce((s, k) => s + c[k], 0) / COACH_ATTRS.length;
+}
+
+function coachEdge(c) {
+  return c ? (c.tactics - 50) * COACH_TACTICS_EDGE : 0;
+}
+
+// Team strength plus the coach's sideline edge, as games are played.
+function gameStrength(u, t) {
+  return teamStrength(t) + coachEdge(coachOf(u, t));
+}
+
+function seatStatus(c) {
+  if (c.heat >= HOT_SEAT.hot) return "Hot seat";
+  if (c.heat >= HOT_SEAT.warm) return "Warm";
+  return "Secure";
+}
+
+// A new coach whose attributes land near `target` on the 25..99 scale. The id
+// is left for the caller, so a candidate who isn't hired costs nothing.
+function generateCoach(u, target, rnd) {
+  const c = {
+    id: 0,
+    name: `${pick(FIRST_NAMES, rnd)} ${pick(LAST_NAMES, rnd)}`,
+    age: 32 + Math.floor(rnd() * 16),
+    tempo: Math.round(COACH_TEMPO + normal(rnd) * 3),
+    contract: 0,
+    heat: 0,
+    hired: u.year,
+    career: [],
+  };
+  for (const k of COACH_ATTRS) c[k] = clampAttr(target + normal(rnd) * 10);
+  return c;
+}
+
+function hireCoach(u, c, t, rnd) {
+  if (!c.id) {
+    c.id = u.nextCoachId++;
+    u.coaches.push(c);
+  }
+  t.coachId = c.id;
+  c.hired = u.year + 1;
+  c.heat = 0;
+  c.contract = COACH_CONTRACT[0] + Math.floor(rnd() * (COACH_CONTRACT[1] - COACH_CONTRACT[0] + 1));
+}
+
+// Coach quality a program of this rating would hire, given the league's spread.
+function coachTarget(u, t) {
+  const ratings = u.teams.map((x) => x.rating);
+  const mean = ratings.reduce((s, r) => s + r, 0) / ratings.length;
+  return 50 + (t.rating - mean) * 1.2;
+}
+
+function generateCoaches(u, rnd = u.stream("coaches")) {
+  u.coaches = [];
+  for (const t of u.teams) {
+    const c = generateCoach(u, coachTarget(u, t), rnd);
+    c.id = u.nextCoachId++;
+    c.age = 35 + Math.floor(rnd() * 30);
+    c.hired = u.year - Math.floor(rnd() * Math.min(12, c.age - 33));
+    c.contract = 1 + Math.floor(rnd() * COACH_CONTRACT[1]);
+    u.coaches.push(c);
+    t.coachId = c.id;
+  }
+}
+
+// Expected win% for each program from its rating, as z-scores around .500.
+function coachExpectations(u) {
+  const z = zScores(u.teams.map((t) => t.rating));
+  const out = {};
+  u.teams.forEach((t, i) => (out[t.id] = Math.max(0.2, Math.min(0.85, 0.5 + z[i] * 0.15))));
+  return out;
+}
+
+// Logs the season to every sitting coach's career and updates the hot seat.
+function reviewCoaches(u) {
+  const wins = bracketWins(u.bracket);
+  const reached = bracketReached(u.bracket);
+  const expected = coachExpectations(u);
+  const champ = nationalChampion(u);
+  for (const t of u.teams) {
+    const c = coachOf(u, t);
+    if (!c) continue;
+    const seed = u.bracket && u.bracket.seeds[t.id] ? u.bracket.seeds[t.id].seed : null;
+    c.career.push({
+      year: u.year,
+      teamId: t.id,
+      w: t.w,
+      l: t.l,
+      seed,
+      wins: wins[t.id] || 0,
+      reached: reached[t.id] ?? null,
+      champ: champ === t.id,
+    });
+    const gp = t.w + t.l;
+    const winPct = gp ? t.w / gp : 0.5;
+    let miss = expected[t.id] - winPct;
+    if (seed != null) miss -= 0.05 + (wins[t.id] || 0) * 0.03;
+    else if (expected[t.id] >= 0.65) miss += 0.05;
+    c.heat = c.heat * 0.6 + miss * 4;
+  }
+}
+
+function recentWinPct(c, seasons = 2) {
+  const recent = c.career.slice(-seasons);
+  const w = recent.reduce((s, r) => s + r.w, 0);
+  const gp = recent.reduce((s, r) => s + r.w + r.l, 0);
+  return gp ? w / gp : 0.5;
+}
+
+// The offseason coaching carousel: retirements, firings and expiring deals
+// open jobs, then the best jobs fill first. Successful coaches at lower-tier
+// conferences move up, opening their old jobs in turn; fired coaches and
+// first-time head coaches fill the rest. Returns the ids of programs with a
+// new head coach.
+function runCoachingCarousel(u) {
+  const rnd = u.stream("coaches");
+  reviewCoaches(u);
+  const moves = [];
+  const open = [];
+  for (const t of u.teams) {
+    const c = coachOf(u, t);
+    if (!c) {
+      open.push(t);
+      continue;
+    }
+    c.age++;
+    c.contract--;
+    const tenure = u.year - c.hired + 1;
+    const [old, last] = COACH_RETIRE_AGE;
+    let type = null;
+    if (c.age >= last || (c.age >= old && rnd() < (c.age - old + 1) * 0.12)) type = "retired";
+    else if (c.heat >= HOT_SEAT.fired && tenure >= 2 && rnd() < 0.7) type = "fired";
+    else if (c.contract <= 0 && c.heat >= HOT_SEAT.hot) type = "fired";
+    else if (c.contract <= 1 && c.heat < 0) c.contract += COACH_CONTRACT[0];
+    else if (c.contract <= 0) c.contract = COACH_CONTRACT[0];
+    if (!type) continue;
+    if (type === "retired") c.retired = true;
+    t.coachId = null;
+    moves.push({ type, coachId: c.id, teamId: t.id, fromId: null });
+    open.push(t);
+  }
+
+  // Coaches already out of work age too, and give up after a few years.
+  const busy = new Set(moves.map((m) => m.coachId));
+  for (const t of u.teams) busy.add(t.coachId);
+  for (const c of u.coaches) {
+    if (c.retired || busy.has(c.id)) continue;
+    c.age++;
+    const idle = u.year - c.career[c.career.length - 1].year;
+    if (c.age >= COACH_RETIRE_AGE[0] || idle >= COACH_IDLE_YEARS) c.retired = true;
+  }
+
+  const tiers = conferenceTiers(u);
+  const rank = { high: 0, mid: 1, low: 2 };
+  const employed = {};
+  for (const t of u.teams) if (t.coachId != null) employed[t.coachId] = t;
+  const changed = new Set();
+  while (open.length) {
+    open.sort((a, b) => b.rating - a.rating || a.id - b.id);
+    const t = open.shift();
+    const rookie = generateCoach(u, coachTarget(u, t) - COACH_FIRST_JOB_GAP, rnd);
+    const candidates = [{ c: rookie, from: null, bonus: 0 }];
+    for (const c of u.coaches) {
+      if (c.retired || c.career.length === 0) continue;
+      const from = employed[c.id];
+      if (!from) {
+        if (c.career[c.career.length - 1].teamId === t.id) continue;
+        candidates.push({ c, from: null, bonus: -8 });
+      } else if (
+        rank[tiers[from.conf]] > rank[tiers[t.conf]] &&
+        recentWinPct(c) >= COACH_MOVE_WIN_PCT
+      ) {
+        candidates.push({ c, from, bonus: (recentWinPct(c) - 0.5) * 40 });
+      }
+    }
+    let best = null;
+    let bestScore = -Infinity;
+    for (const cand of candidates) {
+      const s = coachQuality(cand.c) + cand.bonus + normal(rnd) * 4;
+      if (s > bestScore) {
+        best = cand;
+        bestScore = s;
+      }
+    }
+    const { c, from } = best;
+    if (from) {
+      from.coachId = null;
+      open.push(from);
+    }
+    hireCoach(u, c, t, rnd);
+    employed[c.id] = t;
+    changed.add(t.id);
+    moves.push({ type: "hired", coachId: c.id, teamId: t.id, fromId: from ? from.id : null });
+  }
+  u.carousel = { year: u.year, moves };
+  return u.teams.filter((t) => changed.has(t.id)).map((t) => t.id);
+}
+
+// Career totals for the coaches view.
+function coachRecord(c) {
+  const out = { w: 0, l: 0, ncaa: 0, wins: 0, finalFours: 0, titles: 0 };
+  for (const s of c.career) {
+    out.w += s.w;
+    out.l += s.l;
+    if (s.seed != null) out.ncaa++;
+    out.wins += s.wins;
+    if (s.reached != null && s.reached <= 4) out.finalFours++;
+    if (s.champ) out.titles++;
+  }
+  return out;
+}
+
+// ---------- GM mode ----------
+// One program can be the user's. u.gm holds its id, its playing style and
+// the non-conference games lined up for the next schedule; every other
+// program stays AI-controlled. Style steps are small integers: pace and
+// threes run -2..2 around a normal game, press 0..2.
+const STYLE_RANGES = { pace: [-2, 2], threes: [-2, 2], press: [0, 2] };
+const STYLE_PACE = 3; // possessions per 40 minutes per pace step
+const STYLE_PRESS_PACE = 1.5; // pressing speeds the game up too
+const STYLE_THREES = 0.04; // share of shots taken from three per step
+const STYLE_PRESS = { tov: 0.02, make2: 0.012 }; // per press step, to the opponent
+// What a style is worth in quickScore's strength terms, measured from playGame
+// between evenly matched teams: each press step wins about a point a game and
+// each three-point step about a third of one. Pace is a wash.
+const STYLE_EDGE = { threes: 0.3, press: 0.9 };
+// Guarantee games are home games against low-major programs.
+const NONCONF_SITES = ["home", "away", "neutral", "guarantee"];
+
+function defaultStyle() {
+  return { pace: 0, threes: 0, press: 0 };
+}
+
+function styleOf(u, t) {
+  return u.gm && u.gm.teamId === t.id ? u.gm.style : null;
+}
+
+function styleEdge(style) {
+  return style ? style.threes * STYLE_EDGE.threes + style.press * STYLE_EDGE.press : 0;
+}
+
+function requireGM(u) {
+  if (!u.gm) throw new Error("Pick a program to run first.");
+  return teamById(u, u.gm.teamId);
+}
+
+// Takes control of a program, or gives it up with a null id. Only before the
+// first schedule, while the universe is new.
+function claimProgram(u, id) {
+  if (u.games.length || u.history.length) {
+    throw new Error("Pick your program when the universe is created, before the first schedule.");
+  }
+  if (id != null && !teamById(u, id)) throw new Error(`No team with id ${id}.`);
+  u.gm = id == null ? null : { teamId: id, style: defaultStyle(), nonConf: [] };
+}
+
+function setStyle(u, style) {
+  requireGM(u);
+  const next = Object.assign({}, u.gm.style, style);
+  for (const k of Object.keys(STYLE_RANGES)) {
+    const [lo, hi] = STYLE_RANGES[k];
+    if (!Number.isInteger(next[k]) || next[k] < lo || next[k] > hi) {
+      throw new Error(`Style ${k} must be a whole number from ${lo} to ${hi}.`);
+    }
+  }
+  u.gm.style = { pace: next.pace, threes: next.threes, press: next.press };
+}
+
+// Throws if `plan` can't go on the schedule: every opponent a distinct
+// program from another conference, guarantee opponents from a low-major
+// conference, and no more games than `nonConf` when it's known.
+function checkNonConfPlan(u, plan, nonConf = Infinity) {
+  const me = requireGM(u);
+  const tiers = conferenceTiers(u);
+  const seen = new Set();
+  for (const { oppId, site } of plan) {
+    const opp = teamById(u, oppId);
+    if (!opp) throw new Error(`No team with id ${oppId}.`);
+    if (!NONCONF_SITES.includes(site)) throw new Error(`Unknown site: ${site}.`);
+    if (opp === me) throw new Error("Your program can't play itself.");
+    if (opp.conf === me.conf) throw new Error(`${opp.name} is a conference opponent.`);
+    if (seen.has(oppId)) throw new Error(`${opp.name} is already on your schedule.`);
+    if (site === "guarantee" && tiers[opp.conf] !== "low") {
+      throw new Error(`Guarantee games are against low majors; ${opp.conf} isn't one.`);
+    }
+    seen.add(oppId);
+  }
+  if (plan.length > nonConf) {
+    throw new Error(
+      `You've lined up ${plan.length} non-conference games, but the schedule has ${nonConf}.`
+    );
+  }
+}
+
+function setNonConfPlan(u, plan) {
+  requireGM(u);
+  if (u.games.length) {
+    throw new Error("This season's schedule is out. Line up games again after the season.");
+  }
+  checkNonConfPlan(u, plan);
+  u.gm.nonConf = plan.map(({ oppId, site }) => ({ oppId, site }));
+}
+
+// Teams left in the last national bracket round each team played in.
+function bracketReached(b) {
+  const reached = {};
+  for (const games of b ? b.rounds : []) {
+    for (const g of games) for (const id of [g.homeId, g.awayId]) reached[id] = games.length * 2;
+  }
+  return reached;
+}
+
+// The user's preseason goals, set from the program's rating: a regular-season
+// win total, a conference finish and a postseason target. Each is "met",
+// "missed" or "open".
+function seasonGoals(u) {
+  const t = requireGM(u);
+  const expected = coachExpectations(u)[t.id];
+  const mine = u.games.filter((g) => g.homeId === t.id || g.awayId === t.id);
+  const goals = [];
+
+  const wins = mine.filter((g) => g.played && winnerId(g) === t.id).length;
+  const left = mine.filter((g) => !g.played).length;
+  const target = Math.round(expected * mine.length);
+  goals.push({
+    label: mine.length
+      ? `Win ${target} regular-season games`
+      : `Win ${Math.round(expected * 100)}% of regular-season games`,
+    detail: mine.length ? `${wins} so far, ${left} to play` : "No schedule yet",
+    status: !mine.length ? "open" : wins >= target ? "met" : wins + left < target ? "missed" : "open",
+  });
+
+  const confTeams = u.teams
+    .filter((x) => x.conf === t.conf)
+    .sort((a, b) => b.rating - a.rating || a.id - b.id);
+  const finish = Math.max(1, Math.min(confTeams.length - 1, confTeams.indexOf(t) + 2));
+  const place = standingsForConf(u, t.conf).indexOf(t) + 1;
+  const confLeft = mine.some((g) => g.conf && !g.played);
+  goals.push({
+    label: finish === 1 ? `Win the ${t.conf}` : `Finish in the top ${finish} of the ${t.conf}`,
+    detail: mine.length ? `${place} of ${confTeams.length} at ${t.cw}-${t.cl}` : "No schedule yet",
+    status: !mine.length || confLeft ? "open" : place <= finish ? "met" : "missed",
+  });
+
+  const b = u.bracket;
+  const seed = b && b.seeds[t.id] ? `${b.seeds[t.id].seed} seed` : "";
+  let postseason;
+  if (expected >= 0.7) {
+    // in the Sweet 16 once it plays a round of 16 game or wins a round of 32 one
+    let made = false,
+      out = b != null && !seed;
+    for (const games of b ? bracketRounds(b) : []) {
+      for (const g of games) {
+        if (g.homeId !== t.id && g.awayId !== t.id) continue;
+        const left = games === b.firstFour ? Infinity : games.length * 2;
+        if (left <= 16 || (g.played && left === 32 && winnerId(g) === t.id)) made = true;
+        else if (g.played && winnerId(g) !== t.id) out = true;
+      }
+    }
+    postseason = {
+      label: "Reach the Sweet 16",
+      detail: seed,
+      status: made ? "met" : out ? "missed" : "open",
+    };
+  } else if (expected >= 0.55) {
+    postseason = {
+      label: "Make the NCAA Tournament",
+      detail: seed,
+      status: b ? (seed ? "met" : "missed") : "open",
+    };
+  } else {
+    const where = [b, u.nit, u.cbi].find((x) => x && x.seeds[t.id]);
+    postseason = {
+      label: "Play in the postseason",
+      detail: where ? (where === b ? "NCAA Tournament" : where.name) : "",
+      status: b ? (where ? "met" : "missed") : "open",
+    };
+  }
+  goals.push(postseason);
+  return goals;
+}
+
+// ---------- Finances ----------
+// Each program runs a budget, in millions of dollars a season. Revenue is
+// gate receipts from home games, the conference's media deal and NCAA
+// Tournament units: every national tournament game a conference's teams play
+// earns the conference a unit, paid out to its members each season for
+// UNIT_YEARS seasons. Expenses are staff, facilities (upkeep plus upgrades)
+// and the NIL collective. Books close at the end of each season (closeBooks).
+// Spending moves two slow numbers, the facilities index (0-100) and the
+// collective's standing, which feed recruiting and home-court edge for
+// seasons afterward.
+const MEDIA_DEALS = { high: 28, mid: 7, low: 2 }; // per member
+const UNIT_VALUE = 0.34; // per unit per season
+const UNIT_YEARS = 6;
+const ARENA_SEATS = { base: 5000, perFacility: 120 };
+const TICKET_PRICE = { base: 12, perRating: 1.2 }; // dollars, plus per rating point over 60
+const STAFF_COST = { high: 14, mid: 4.5, low: 1.6 }; // for an average staff
+const FACILITY_UPKEEP = 0.02; // per facilities point
+// Facilities points per $1M of upgrades at an index of 50; the nicer the
+// buildings already are, the less each dollar adds.
+const FACILITY_PER_M = 1.5;
+const FACILITY_DECAY = 2; // points a season as buildings age
+const COLLECTIVE_MEMORY = 0.6; // share of the collective's standing kept each season
+const NIL_MAX = 20;
+const UPGRADE_MAX = 30;
+const FIN_RECRUITING = { facilities: 0.3, nil: 0.5 }; // weights in recruitInterest
+const FACILITY_COURT = 0.005; // home-court edge multiplier per facilities point over 50
+// How AI programs budget: a share of last season's revenue (and of reserves)
+// to NIL, and reserves above a cushion into facilities.
+const AI_BUDGET = { nil: 0.15, nilReserves: 0.1, cushion: 0.5, upgrade: 0.4 };
+
+function dollars(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function financeOf(u, t) {
+  return u.finances[t.id];
+}
+
+// Opening books: facilities track the program's rating, reserves and the
+// NIL pool its conference's media money.
+function generateFinances(u) {
+  const tiers = conferenceTiers(u);
+  u.finances = {};
+  u.units = []; // { year, confs: { conf: units } } for recent tournaments
+  for (const t of u.teams) {
+    const media = MEDIA_DEALS[tiers[t.conf]];
+    const nil = dollars(media * 0.2);
+    u.finances[t.id] = {
+      cash: dollars(media * 0.5),
+      facilities: Math.max(10, Math.min(95, Math.round(40 + (t.rating - 75) * 2.5))),
+      nil,
+      upgrade: 0,
+      collective: nil,
+      ledger: [],
+    };
+  }
+}
+
+// Home-court edge multiplier from the home program's facilities.
+function homeCourt(u, t) {
+  const f = financeOf(u, t);
+  return f ? 1 + (f.facilities - 50) * FACILITY_COURT : 1;
+}
+
+// NIL pull for recruiting: this season's pool and the collective's standing.
+function nilPower(f) {
+  return (f.nil + f.collective) / 2;
+}
+
+// conf -> units earned in the national bracket so far, one per game played
+// by each of the conference's teams.
+function tournamentUnits(u) {
+  const units = {};
+  for (const games of u.bracket ? bracketRounds(u.bracket) : []) {
+    for (const g of games) {
+      if (!g.played) continue;
+      for (const id of [g.homeId, g.awayId]) {
+        const conf = teamById(u, id).conf;
+        units[conf] = (units[conf] || 0) + 1;
+      }
+    }
+  }
+  return units;
+}
+
+// conf -> units being paid out this season: this tournament's plus those
+// still running from the last UNIT_YEARS - 1.
+function unitsInPayout(u) {
+  const out = Object.assign({}, tournamentUnits(u));
+  for (const rec of u.units) {
+    if (rec.year >= u.year || rec.year <= u.year - UNIT_YEARS) continue;
+    for (const conf of Object.keys(rec.confs)) out[conf] = (out[conf] || 0) + rec.confs[conf];
+  }
+  return out;
+}
+
+// This season's books for every program, so far: gate receipts from home
+// games played, plus full-season media, unit and expense lines.
+function seasonBooks(u) {
+  const tiers = conferenceTiers(u);
+  const by = groupByConference(u.teams);
+  const payout = unitsInPayout(u);
+  const played = {};
+  const gates = {};
+  for (const { game: g, where } of seasonGames(u)) {
+    if (!g.played) continue;
+    if (where[0] === "b") for (const id of [g.homeId, g.awayId]) played[id] = (played[id] || 0) + 1;
+    if (g.neutral) continue;
+    (gates[g.homeId] = gates[g.homeId] || []).push(g);
+  }
+  const books = {};
+  for (const t of u.teams) {
+    const f = financeOf(u, t);
+    const gp = t.w + t.l;
+    const fill = Math.max(0.2, Math.min(1, 0.3 + (gp ? t.w / gp : 0.5) * 0.5 + (t.rating - 70) * 0.01));
+    const seats = ARENA_SEATS.base + f.facilities * ARENA_SEATS.perFacility;
+    const price = TICKET_PRICE.base + Math.max(0, t.rating - 60) * TICKET_PRICE.perRating;
+    const coach = coachOf(u, t);
+    const entry = {
+      year: u.year,
+      conf: t.conf,
+      gate: dollars(((gates[t.id] || []).length * seats * fill * price) / 1e6),
+      media: MEDIA_DEALS[tiers[t.conf]],
+      units: dollars(((payout[t.conf] || 0) * UNIT_VALUE) / by[t.conf].length),
+      played: played[t.id] || 0,
+      staff: dollars(STAFF_COST[tiers[t.conf]] * (0.8 + (coach ? coachQuality(coach) : 50) / 250)),
+      facilities: dollars(f.facilities * FACILITY_UPKEEP + f.upgrade),
+      nil: f.nil,
+    };
+    entry.revenue = dollars(entry.gate + entry.media + entry.units);
+    entry.expenses = dollars(entry.staff + entry.facilities + entry.nil);
+    entry.net = dollars(entry.revenue - entry.expenses);
+    books[t.id] = entry;
+  }
+  return books;
+}
+
+// Books the season for every program, applies what its spending bought and
+// sets AI programs' budgets for next season. The GM program keeps its NIL
+// pool; upgrades are one-off projects.
+function closeBooks(u) {
+  const books = seasonBooks(u);
+  u.units = [...u.units, { year: u.year, confs: tournamentUnits(u) }].slice(-UNIT_YEARS);
+  for (const t of u.teams) {
+    const f = financeOf(u, t);
+    const entry = books[t.id];
+    f.cash = dollars(f.cash + entry.net);
+    entry.cash = f.cash;
+    f.ledger.push(entry);
+    const built =
+      f.facilities - FACILITY_DECAY + (f.upgrade * FACILITY_PER_M * (100 - f.facilities)) / 50;
+    f.facilities = Math.max(0, Math.min(100, Math.round(built * 10) / 10));
+    f.collective = dollars(f.collective * COLLECTIVE_MEMORY + f.nil * (1 - COLLECTIVE_MEMORY));
+    f.upgrade = 0;
+    if (u.gm && u.gm.teamId === t.id) continue;
+    const reserves = Math.max(0, f.cash);
+    f.nil = dollars(
+      Math.min(NIL_MAX, entry.revenue * AI_BUDGET.nil + reserves * AI_BUDGET.nilReserves)
+    );
+    const spare = f.cash - entry.revenue * AI_BUDGET.cushion;
+    f.upgrade = spare > 0 ? dollars(Math.min(UPGRADE_MAX, spare * AI_BUDGET.upgrade)) : 0;
+  }
+}
+
+// NCAA units still being paid out follow a conference that's renamed or
+// merged into another.
+function moveUnits(u, from, to) {
+  splitUnits(u, from, { [to]: 1 });
+}
+
+// Splits a conference's unpaid units among `shares` (conf -> weight), keeping
+// whole units: each gets its floor, and what's left goes to the largest
+// remainders.
+function splitUnits(u, from, shares) {
+  const confs = Object.keys(shares).sort();
+  const total = confs.reduce((s, c) => s + shares[c], 0);
+  for (const rec of u.units) {
+    const n = rec.confs[from];
+    if (!n) continue;
+    delete rec.confs[from];
+    const exact = confs.map((c) => (n * shares[c]) / total);
+    const whole = exact.map(Math.floor);
+    let left = n - whole.reduce((s, k) => s + k, 0);
+    const rest = (i) => exact[i] - whole[i];
+    const order = confs.map((c, i) => i).sort((a, b) => rest(b) - rest(a));
+    for (const i of order) {
+      if (left-- <= 0) break;
+      whole[i]++;
+    }
+    confs.forEach((c, i) => {
+      if (whole[i]) rec.confs[c] = (rec.confs[c] || 0) + whole[i];
+    });
+  }
+}
+
+// Sets the GM program's NIL pool and facility upgrades for this season.
+// Upgrades are paid from reserves.
+function setBudget(u, budget) {
+  const t = requireGM(u);
+  const f = financeOf(u, t);
+  const next = Object.assign({ nil: f.nil, upgrade: f.upgrade }, budget);
+  if (!Number.isFinite(next.nil) || next.nil < 0 || next.nil > NIL_MAX) {
+    throw new Error(`The NIL pool must be from $0 to $${NIL_MAX}M.`);
+  }
+  const most = Math.min(UPGRADE_MAX, Math.max(0, f.cash));
+  if (!Number.isFinite(next.upgrade) || next.upgrade < 0 || next.upgrade > most) {
+    throw new Error(`Facility upgrades must be from $0 to $${dollars(most)}M, paid from reserves.`);
+  }
+  f.nil = dollars(next.nil);
+  f.upgrade = dollars(next.upgrade);
+}
+
+// ---------- League editor ----------
+// Edits to teams and conferences go through act() like everything else, so
+// they replay. Names and ratings can change any time; conference membership
+// only between seasons, before a schedule exists, and every conference left
+// behind must still be big enough for a round robin.
+const MIN_CONF_TEAMS = 2;
+const RATING_RANGE = [30, 95];
+const RESERVED_CONFS = ["NCAA", "NIT", "CBI"];
+
+function requireOffseason(u) {
+  if (u.games.length > 0) {
+    throw new Error("Conferences can only change between seasons, before the schedule is generated.");
+  }
+}
+
+function conferenceSize(u, conf) {
+  return u.teams.filter((t) => t.conf === conf).length;
+}
+
+function checkConfName(u, name, { isNew }) {
+  if (typeof name !== "string" || !name.trim()) throw new Error("Conference name can't be blank.");
+  if (name !== name.trim()) throw new Error("Conference name can't start or end with spaces.");
+  if (RESERVED_CONFS.includes(name)) throw new Error(`"${name}" is reserved.`);
+  const exists = u.teams.some((t) => t.conf === name);
+  if (isNew && exists) throw new Error(`There's already a conference called ${name}.`);
+  if (!isNew && !exists) throw new Error(`There's no conference called ${name}.`);
+}
+
+// Throws if any of `confs` ends up with members but too few for a round robin.
+function checkConfSizes(u, confs) {
+  for (const conf of new Set(confs)) {
+    const n = conferenceSize(u, conf);
+    if (n > 0 && n < MIN_CONF_TEAMS) {
+      throw new Error(
+        `${conf} would have ${n} team${n === 1 ? "" : "s"}; a conference needs at least ${MIN_CONF_TEAMS} for a round robin.`
+      );
+    }
+  }
+}
+
+// Moves teams to new conferences all at once, undoing the moves if the
+// result leaves a conference too small.
+function moveTeams(u, moves) {
+  const before = {};
+  for (const id of Object.keys(moves)) {
+    const t = teamById(u, Number(id));
+    if (!t) throw new Error(`No team with id ${id}.`);
+    before[t.id] = t.conf;
+  }
+  for (const id of Object.keys(moves)) teamById(u, Number(id)).conf = moves[id];
+  try {
+    checkConfSizes(u, [...Object.values(before), ...Object.values(moves)]);
+  } catch (err) {
+    for (const id of Object.keys(before)) teamById(u, Number(id)).conf = before[id];
+    throw err;
+  }
+}
+
+function editTeam(u, id, changes) {
+  const t = teamById(u, id);
+  if (!t) throw new Error(`No team with id ${id}.`);
+  const next = {
+    school: changes.school ?? t.school,
+    nickname: changes.nickname ?? t.nickname,
+    rating: changes.rating ?? t.rating,
+    region: changes.region ?? t.region,
+  };
+  if (typeof next.school !== "string" || !next.school.trim()) {
+    throw new Error("School can't be blank.");
+  }
+  if (typeof next.nickname !== "string") throw new Error("Nickname must be text.");
+  next.school = next.school.trim();
+  next.nickname = next.nickname.trim();
+  const name = `${next.school} ${next.nickname}`.trim();
+  if (u.teams.some((o) => o !== t && o.name === name)) {
+    throw new Error(`There's already a team called ${name}.`);
+  }
+  const [lo, hi] = RATING_RANGE;
+  if (!Number.isFinite(next.rating) || next.rating < lo || next.rating > hi) {
+    throw new Error(`Rating must be a number from ${lo} to ${hi}.`);
+  }
+  if (!(next.region in HOME_REGIONS)) throw new Error(`Unknown region: ${next.region}.`);
+  if (changes.conf != null && changes.conf !== t.conf) {
+    requireOffseason(u);
+    checkConfName(u, changes.conf, { isNew: false });
+    moveTeams(u, { [t.id]: changes.conf });
+  }
+  // Games are played by the roster, so a rating change moves every player by
+  // the same amount and shows up in teamStrength right away.
+  const delta = next.rating - t.rating;
+  if (delta && t.roster) {
+    for (const p of t.roster) {
+      for (const k of Object.keys(p.attrs)) p.attrs[k] = clampAttr(p.attrs[k] + delta);
+      p.pot = Math.min(99, Math.max(Math.round(p.ovr), Math.round(p.pot + delta)));
+    }
+  }
+  Object.assign(t, next);
+}
+
+function createConference(u, name, teamIds) {
+  requireOffseason(u);
+  checkConfName(u, name, { isNew: true });
+  if (teamIds.length < MIN_CONF_TEAMS) {
+    throw new Error(`A new conference needs at least ${MIN_CONF_TEAMS} teams.`);
+  }
+  const moves = {};
+  for (const id of teamIds) moves[id] = name;
+  moveTeams(u, moves);
+}
+
+function renameConference(u, from, to) {
+  requireOffseason(u);
+  checkConfName(u, from, { isNew: false });
+  checkConfName(u, to, { isNew: true });
+  for (const t of u.teams) if (t.conf === from) t.conf = to;
+  if (u.confFormats[from]) {
+    u.confFormats[to] = u.confFormats[from];
+    delete u.confFormats[from];
+  }
+  moveUnits(u, from, to);
+}
+
+function mergeConferences(u, from, into) {
+  requireOffseason(u);
+  checkConfName(u, from, { isNew: false });
+  checkConfName(u, into, { isNew: false });
+  if (from === into) throw new Error("Pick a different conference to merge into.");
+  for (const t of u.teams) if (t.conf === from) t.conf = into;
+  delete u.confFormats[from];
+  moveUnits(u, from, into);
+}
+
+// Breaks a conference up; `moves` sends each member (by id) to another
+// existing conference.
+function dissolveConference(u, conf, moves) {
+  requireOffseason(u);
+  checkConfName(u, conf, { isNew: false });
+  const members = {};
+  for (const t of u.teams) {
+    if (t.conf !== conf) continue;
+    const dest = moves[t.id];
+    if (dest == null) throw new Error(`${t.name} needs a new conference.`);
+    if (dest === conf) throw new Error(`${t.name} can't stay in ${conf}.`);
+    checkConfName(u, dest, { isNew: false });
+    members[t.id] = dest;
+  }
+  const shares = {};
+  for (const dest of Object.values(members)) shares[dest] = (shares[dest] || 0) + 1;
+  moveTeams(u, members);
+  splitUnits(u, conf, shares);
+  delete u.confFormats[conf];
+}
+
+// ---------- Projections ----------
+// Monte Carlo: play out the rest of the season many times on forks of the
+// universe and count outcomes per team. Forks share rosters and played games
+// with the base, so nothing in the base is touched.
+const PROJECTION_ROUNDS = ["R64", "R32", "S16", "E8", "F4", "Final", "Champ"];
+const ROUND_KEY_BY_TEAMS = { 64: "R64", 32: "R32", 16: "S16", 8: "E8", 4: "F4", 2: "Final" };
+
+function forkUniverse(u, seed, strengths) {
+  const f = Object.create(Universe.prototype);
+  Object.assign(f, u);
+  f.teams = u.teams.map((t) => Object.assign(Object.create(Team.prototype), t));
+  const copyGame = (g) => (g.played ? g : Object.assign(Object.create(Game.prototype), g));
+  f.games = u.games.map(copyGame);
+  f.confTournaments = {};
+  for (const conf of Object.keys(u.confTournaments)) {
+    f.confTournaments[conf] = u.confTournaments[conf].map((games) => games.map(copyGame));
+  }
+  f.bracket = u.bracket
+    ? Object.assign({}, u.bracket, {
+        firstFour: (u.bracket.firstFour || []).map(copyGame),
+        rounds: u.bracket.rounds.map((games) => games.map(copyGame)),
+      })
+    : null;
+  f.rngs = new RngStreams(seed, u.year);
+  f.replay = null;
+  f.quickSim = true;
+  f.strengths = strengths;
+  return f;
+}
+
+function emptyProjection() {
+  const p = { w: 0, l: 0, cw: 0, cl: 0, confTitle: 0, autoBid: 0, atLarge: 0, field: 0, seedSum: 0 };
+  for (const r of PROJECTION_ROUNDS) p[r] = 0;
+  return p;
+}
+
+function playOutSeason(f) {
+  const rnd = f.stream("regular");
+  for (const g of f.games) playScheduledGame(f, g, rnd);
+  const regular = {};
+  for (const t of f.teams) regular[t.id] = { w: t.w, l: t.l, cw: t.cw, cl: t.cl };
+  if (!confTournamentsComplete(f)) simConfTournaments(f);
+  if (!f.bracket) buildNationalBracket(f);
+  simBracket(f);
+  return regular;
+}
+
+// Returns { iterations, teams: { [id]: counts } }; divide by iterations for
+// odds. `onProgress(done, total)` is called every few iterations.
+function runProjections(u, iterations, seed, onProgress) {
+  const out = {};
+  const strengths = {};
+  for (const t of u.teams) {
+    out[t.id] = emptyProjection();
+    strengths[t.id] = gameStrength(u, t) + styleEdge(styleOf(u, t));
+  }
+  for (let i = 0; i < iterations; i++) {
+    const f = forkUniverse(u, hashString(`${seed}-${i}`), strengths);
+    const regular = playOutSeason(f);
+    for (const t of f.teams) {
+      const p = out[t.id];
+      const r = regular[t.id];
+      p.w += r.w;
+      p.l += r.l;
+      p.cw += r.cw;
+      p.cl += r.cl;
+    }
+    const by = groupByConference(f.teams);
+    for (const conf of Object.keys(by)) {
+      const best = Math.max(...by[conf].map((t) => regular[t.id].cw - regular[t.id].cl));
+      for (const t of by[conf]) {
+        if (regular[t.id].cw - regular[t.id].cl === best) out[t.id].confTitle++;
+      }
+    }
+    const champs = new Set(Object.values(confChampions(f)));
+    for (const id of champs) out[id].autoBid++;
+    const b = f.bracket;
+    for (const id of Object.keys(b.seeds)) {
+      const p = out[id];
+      p.field++;
+      p.seedSum += b.seeds[id].seed;
+      if (!champs.has(Number(id))) p.atLarge++;
+    }
+    for (const games of b.rounds) {
+      const key = ROUND_KEY_BY_TEAMS[games.length * 2];
+      if (!key) continue;
+      for (const g of games) {
+        out[g.homeId][key]++;
+        out[g.awayId][key]++;
+      }
+    }
+    out[nationalChampion(f)].Champ++;
+    if (onProgress && (i + 1) % 10 === 0) onProgress(i + 1, iterations);
+  }
+  return { iterations, teams: out };
+}
+
+// ---------- Data loading ----------
+// CSV columns: School,Nickname,Conference,Rating
+function parseCSV(text) {
+  const lines = text.replace(/\r/g, "").split("\n").filter(Boolean);
+  const header = lines[0].split(",").map((s) => s.trim());
+  const idx = {
+    School: header.indexOf("School"),
+    Nickname: header.indexOf("Nickname"),
+    Conference: header.indexOf("Conference"),
+    Rating: header.indexOf("Rating"),
+    Region: header.indexOf("Region"),
+  };
+  const rows = [];
+  for (let i = 1; i < lines.length; i++) {
+    const parts = splitCSVLine(lines[i]);
+    if (parts.length < 4) continue;
+    rows.push({
+      school: parts[idx.School]?.trim(),
+      nickname: parts[idx.Nickname]?.trim(),
+      conf: parts[idx.Conference]?.trim(),
+      rating: Number(parts[idx.Rating]) || 50,
+      region: idx.Region >= 0 ? parts[idx.Region]?.trim() || undefined : undefined,
+      id: i - 1,
+    });
+  }
+  return rows.filter((r) => r.school && r.conf);
+}
+
+function splitCSVLine(line) {
+  // naive CSV split supporting basic quoted values
+  const out = [];
+  let cur = "";
+  let q = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (q && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else {
+        q = !q;
+      }
+    } else if (ch === "," && !q) {
+      out.push(cur);
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur);
+  return out;
+}
+
+// ---------- Save revival ----------
+function revive(saved) {
+  // A bare universe: the constructor would generate rosters, coaches, finances
+  // and a recruiting class only for the save to overwrite them. Fields go on in
+  // the constructor's order so a revived universe serializes the same way.
+  const u = Object.create(Universe.prototype);
+  u.teams = saved.teams.map((t) =>
+    Object.assign(
+      new Team({
+        id: t.id,
+        school: t.school,
+        nickname: t.nickname,
+        conf: t.conf,
+        region: t.region,
+        rating: t.rating,
+      }),
+      t
+    )
+  );
+  u.year = saved.year;
+  u.day = saved.day ?? 0;
+  u.games = saved.games.map((g) =>
+    Object.assign(new Game(g.homeId, g.awayId, g.conf, g.week, g.neutral), g)
+  );
+  u.events = saved.events || [];
+  u.confTournaments = saved.confTournaments || {};
+  u.confFormats = saved.confFormats || {};
+  u.confSeeds = saved.confSeeds || {};
+  u.bracket = saved.bracket || null;
+  u.nit = saved.nit || null;
+  u.cbi = saved.cbi || null;
+  u.cbiEnabled = saved.cbiEnabled ?? true;
+  u.polls = saved.polls || [];
+  u.pollBallots = saved.pollBallots || [];
+  u.history = saved.history || [];
+  // Saves from before RNG streams were persisted get streams seeded from the
+  // year, and their replay log starts here.
+  u.rngs = saved.rngs
+    ? new RngStreams(saved.rngs.seed, saved.rngs.year, saved.rngs.state)
+    : new RngStreams(hashString(String(saved.year)), saved.year);
+  u.nextPlayerId = saved.nextPlayerId || 1;
+  for (const t of u.teams) {
+    if (Array.isArray(t.roster) && t.roster.length) {
+      t.roster = t.roster.map((p) => new Player(p));
+    } else {
+      generateRoster(u, t);
+    }
+  }
+  u.nextCoachId = saved.nextCoachId || 1;
+  u.coaches = saved.coaches || [];
+  u.carousel = saved.carousel || null;
+  u.finances = saved.finances || {};
+  u.units = saved.units || [];
+  u.recruits = saved.recruits || [];
+  u.recruitDay = saved.recruitDay ?? 0;
+  u.portal = saved.portal || null;
+  u.gm = saved.gm || null;
+  u.timeline = saved.timeline || [];
+  if (saved.replay !== undefined) u.replay = saved.replay;
+  else resetReplay(u);
+  if (u.replay && !u.replay.marks) u.replay.marks = [];
+  for (const s of u.timeline) if (!s.marks) s.marks = [];
+  return u;
+}
+
+// ---------- Replay ----------
+// Everything that moves a season forward goes through act(), which logs the
+// action. A save carries the universe as it was at the start of the season
+// (or when it was created) plus that log, so verifyReplay() can re-run the
+// season from its seed and check the result matches the save bit for bit.
+//
+// The same logs are the undo timeline: a snapshot is just a position in a
+// season's log, and rewind() replays up to it. `u.timeline` keeps the logs of
+// the last few finished seasons so advancing can be undone too.
+const TIMELINE_SEASONS = 3;
+
+const ACTIONS = {
+  schedule: (u, a) => generateSchedule(u, a.mode, a.nonConf),
+  simToDay: (u, a) => simToDay(u, a.day),
+  simRegularSeason: (u) => simRegularSeason(u),
+  confTournaments: (u) => simConfTournaments(u),
+  buildConfTournaments: (u) => buildConfTournaments(u),
+  simConfRound: (u) => simConfRound(u),
+  setConfFormat: (u, a) => setConfFormat(u, a.conf, a.format),
+  editTeam: (u, a) => editTeam(u, a.id, a.changes),
+  createConference: (u, a) => createConference(u, a.name, a.teamIds),
+  renameConference: (u, a) => renameConference(u, a.from, a.to),
+  mergeConferences: (u, a) => mergeConferences(u, a.from, a.into),
+  dissolveConference: (u, a) => dissolveConference(u, a.conf, a.moves),
+  selection: (u) => {
+    buildNationalBracket(u);
+    buildSecondaryTournaments(u);
+  },
+  simBracket: (u) => simBracket(u),
+  playGame: (u, a) => playLiveGame(u, a.where),
+  transferPortal: (u) => openTransferPortal(u),
+  claimProgram: (u, a) => claimProgram(u, a.id),
+  setStyle: (u, a) => setStyle(u, a.style),
+  setNonConfPlan: (u, a) => setNonConfPlan(u, a.plan),
+  setBudget: (u, a) => setBudget(u, a.budget),
+  simSecondary: (u) => simSecondaryTournaments(u),
+  setCbiEnabled: (u, a) => setCbiEnabled(u, a.enabled),
+  advanceSeason: (u) => advanceSeason(u),
+};
+
+function act(u, action) {
+  const run = ACTIONS[action.type];
+  if (!run) throw new Error(`Unknown action: ${action.type}`);
+  run(u, action);
+  if (action.type === "advanceSeason") {
+    if (u.replay) u.timeline = [...u.timeline, u.replay].slice(-TIMELINE_SEASONS);
+    resetReplay(u);
+  } else if (u.replay) {
+    u.replay.log.push(action);
+  }
+}
+
+// The universe's JSON without its replay and timeline.
+function stateOf(u) {
+  const { replay, timeline, version, ...rest } = u;
+  return JSON.parse(JSON.stringify(rest));
+}
+
+function resetReplay(u) {
+  u.replay = { start: stateOf(u), log: [], marks: [] };
+}
+
+// Labels a snapshot at the current point of the season.
+function markSnapshot(u, label) {
+  if (!u.replay) throw new Error("This universe has no replay log to snapshot.");
+  u.replay.marks.push({ label, at: u.replay.log.length, created: Date.now() });
+}
+
+// Every season `u` can rewind into, oldest first, current season last.
+function timelineSeasons(u) {
+  return [...u.timeline, u.replay].filter(Boolean);
+}
+
+// A new universe as `u` stood after the first `count` actions of `year`.
+// Later seasons, actions and snapshots are dropped from it.
+function rewind(u, year, count) {
+  const seasons = timelineSeasons(u);
+  const i = seasons.findIndex((s) => s.start.year === year);
+  if (i < 0) throw new Error(`No timeline kept for ${year}.`);
+  const season = seasons[i];
+  if (count < 0 || count > season.log.length) throw new Error(`No snapshot at ${count}.`);
+  const r = revive(JSON.parse(JSON.stringify(season.start)));
+  r.timeline = seasons.slice(0, i);
+  r.replay = {
+    start: season.start,
+    log: [],
+    marks: season.marks.filter((m) => m.at <= count),
+  };
+  for (const action of season.log.slice(0, count)) act(r, action);
+  return r;
+}
+
+// One step back: before the last action, or before advancing if this season
+// hasn't started. Null when there's nothing left to undo.
+function undoTarget(u) {
+  if (!u.replay) return null;
+  if (u.replay.log.length) return { year: u.year, count: u.replay.log.length - 1 };
+  const prev = u.timeline[u.timeline.length - 1];
+  return prev ? { year: prev.start.year, count: prev.log.length } : null;
+}
+
+// Path of the first value that differs between two JSON trees, or null.
+function firstDifference(a, b, path = "") {
+  if (a === b) return null;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) {
+    return path || "(root)";
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return path || "(root)";
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const k of keys) {
+    const d = firstDifference(a[k], b[k], Array.isArray(a) ? `${path}[${k}]` : `${path}.${k}`);
+    if (d) return d;
+  }
+  return null;
+}
+
+// Replays a save's log from its season start. Returns { ok, actions, diff }
+// where `diff` is the path of the first mismatch.
+function verifyReplay(saved) {
+  saved = JSON.parse(JSON.stringify(saved));
+  if (!saved.replay) return { ok: false, actions: 0, diff: "save has no replay log" };
+  const { start, log } = saved.replay;
+  const u = revive(start);
+  for (const action of log) act(u, action);
+  const diff = firstDifference(stateOf(saved), stateOf(u));
+  return { ok: diff == null, actions: log.length, diff };
+}
+
+// ---------- Save format ----------
+// Saves are the universe's JSON plus a `version`. Older saves are upgraded one
+// version at a time by MIGRATIONS, then checked against SAVE_SCHEMA before
+// revive() sees them. The start snapshots in a save's replay and timeline
+// share its version.
+const SAVE_VERSION = 11;
+
+// Schema nodes: a type name ("int", "num", "str", "bool", "obj", "any"), a
+// plain object of required fields, or one of the wrappers below. Fields not in
+// the schema are allowed.
+const arrayOf = (of) => ({ kind: "array", of });
+const mapOf = (of) => ({ kind: "map", of });
+const nullable = (of) => ({ kind: "nullable", of });
+const optional = (of) => ({ kind: "optional", of });
+
+const PLAYER_SCHEMA = {
+  id: "int",
+  name: "str",
+  pos: "str",
+  cls: "str",
+  height: "int",
+  attrs: mapOf("num"),
+  pot: "num",
+};
+
+const TEAM_SCHEMA = {
+  id: "int",
+  school: "str",
+  nickname: "str",
+  conf: "str",
+  region: "str",
+  rating: "num",
+  w: "int",
+  l: "int",
+  cw: "int",
+  cl: "int",
+  sos: "num",
+  rs: "num",
+  seedNote: "str",
+  adjO: "num",
+  adjD: "num",
+  adjT: "num",
+  net: "int",
+  netScore: "num",
+  wab: "num",
+  roster: arrayOf(PLAYER_SCHEMA),
+  coachId: nullable("int"),
+};
+
+const COACH_SCHEMA = {
+  id: "int",
+  name: "str",
+  age: "int",
+  tactics: "num",
+  development: "num",
+  recruiting: "num",
+  tempo: "num",
+  contract: "int",
+  heat: "num",
+  hired: "int",
+  retired: optional("bool"),
+  career: arrayOf({
+    year: "int",
+    teamId: "int",
+    w: "int",
+    l: "int",
+    seed: nullable("int"),
+    wins: "int",
+    reached: nullable("int"),
+    champ: "bool",
+  }),
+};
+
+const FINANCE_SCHEMA = {
+  cash: "num",
+  facilities: "num",
+  nil: "num",
+  upgrade: "num",
+  collective: "num",
+  ledger: arrayOf({
+    year: "int",
+    conf: "str",
+    gate: "num",
+    media: "num",
+    units: "num",
+    played: "int",
+    staff: "num",
+    facilities: "num",
+    nil: "num",
+    revenue: "num",
+    expenses: "num",
+    net: "num",
+    cash: "num",
+  }),
+};
+
+const GAME_SCHEMA = {
+  homeId: nullable("int"), // bracket slots wait on First Four winners
+  awayId: nullable("int"),
+  conf: nullable("str"),
+  week: "int",
+  day: nullable("int"),
+  neutral: "bool",
+  played: "bool",
+  homeScore: "int",
+  awayScore: "int",
+  box: optional("obj"),
+  region: optional("str"),
+  target: optional({ game: "int", side: "str" }),
+  loserTarget: optional({ game: "int", side: "str" }),
+  event: optional("int"),
+  plays: optional(arrayOf(arrayOf("any"))),
+};
+
+const BRACKET_SCHEMA = {
+  regions: arrayOf("str"),
+  regionSize: "int",
+  seeds: mapOf({ seed: "int", region: "str" }),
+  firstFour: arrayOf(GAME_SCHEMA),
+  rounds: arrayOf(arrayOf(GAME_SCHEMA)),
+};
+
+const REPLAY_SCHEMA = {
+  start: "obj",
+  log: arrayOf({ type: "str" }),
+  marks: optional(arrayOf({ label: "str", at: "int" })),
+};
+
+const SAVE_SCHEMA = {
+  version: "int",
+  teams: arrayOf(TEAM_SCHEMA),
+  year: "int",
+  day: "int",
+  games: arrayOf(GAME_SCHEMA),
+  events: arrayOf({ name: "str", day: "int", teams: arrayOf("int") }),
+  confTournaments: mapOf(arrayOf(arrayOf(GAME_SCHEMA))),
+  confFormats: mapOf({ qualifiers: nullable("int"), byes: arrayOf("int"), hostRounds: "int" }),
+  confSeeds: mapOf(arrayOf("int")),
+  bracket: nullable(BRACKET_SCHEMA),
+  nit: nullable(BRACKET_SCHEMA),
+  cbi: nullable(BRACKET_SCHEMA),
+  cbiEnabled: "bool",
+  polls: arrayOf({ label: "str", day: "int", votes: arrayOf(arrayOf("int")) }),
+  pollBallots: arrayOf(arrayOf("int")),
+  recruits: arrayOf(
+    Object.assign({}, PLAYER_SCHEMA, {
+      rank: "int",
+      stars: "int",
+      region: "str",
+      day: "int",
+      teamId: nullable("int"),
+      wants: mapOf("num"),
+    })
+  ),
+  recruitDay: "int",
+  portal: nullable({
+    year: "int",
+    entrants: arrayOf({
+      id: "int",
+      name: "str",
+      pos: "str",
+      cls: "str",
+      ovr: "num",
+      fromId: "int",
+      toId: nullable("int"),
+      reason: "str",
+    }),
+    net: mapOf("num"),
+  }),
+  coaches: arrayOf(COACH_SCHEMA),
+  nextCoachId: "int",
+  carousel: nullable({
+    year: "int",
+    moves: arrayOf({ type: "str", coachId: "int", teamId: "int", fromId: nullable("int") }),
+  }),
+  gm: nullable({
+    teamId: "int",
+    style: { pace: "int", threes: "int", press: "int" },
+    nonConf: arrayOf({ oppId: "int", site: "str" }),
+  }),
+  finances: mapOf(FINANCE_SCHEMA),
+  units: arrayOf({ year: "int", confs: mapOf("int") }),
+  history: arrayOf({
+    year: "int",
+    champion: nullable("int"),
+    results: optional(arrayOf(arrayOf("any"))),
+  }),
+  rngs: { seed: "int", year: "int", state: mapOf("int") },
+  nextPlayerId: "int",
+  replay: optional(nullable(REPLAY_SCHEMA)),
+  timeline: optional(arrayOf(REPLAY_SCHEMA)),
+};
+
+const SCALAR_CHECKS = {
+  int: Number.isInteger,
+  num: Number.isFinite,
+  str: (v) => typeof v === "string",
+  bool: (v) => typeof v === "boolean",
+  obj: (v) => typeof v === "object" && v !== null && !Array.isArray(v),
+  any: () => true,
+};
+
+const TYPE_NAMES = {
+  int: "an integer",
+  num: "a number",
+  str: "a string",
+  bool: "true/false",
+  obj: "an object",
+  any: "anything",
+};
+
+function describeValue(v) {
+  if (v === undefined) return "missing";
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "an array";
+  if (typeof v === "object") return "an object";
+  return `${typeof v} ${JSON.stringify(v)}`;
+}
+
+function checkSchema(value, node, path, problems) {
+  if (typeof node === "string") {
+    if (!SCALAR_CHECKS[node](value)) {
+      problems.push(`${path}: expected ${TYPE_NAMES[node]}, got ${describeValue(value)}`);
+    }
+    return;
+  }
+  if (node.kind === "optional") {
+    if (value !== undefined) checkSchema(value, node.of, path, problems);
+    return;
+  }
+  if (node.kind === "nullable") {
+    if (value !== null) checkSchema(value, node.of, path, problems);
+    return;
+  }
+  if (node.kind === "array") {
+    if (!Array.isArray(value)) {
+      problems.push(`${path}: expected array, got ${describeValue(value)}`);
+      return;
+    }
+    value.forEach((v, i) => checkSchema(v, node.of, `${path}[${i}]`, problems));
+    return;
+  }
+  if (!SCALAR_CHECKS.obj(value)) {
+    problems.push(`${path}: expected object, got ${describeValue(value)}`);
+    return;
+  }
+  if (node.kind === "map") {
+    for (const k of Object.keys(value)) checkSchema(value[k], node.of, `${path}.${k}`, problems);
+    return;
+  }
+  for (const k of Object.keys(node)) {
+    checkSchema(value[k], node[k], path ? `${path}.${k}` : k, problems);
+  }
+}
+
+// Every problem with a save at the current version, as "path: what's wrong"
+// strings; empty when the save is good.
+function validateSave(save) {
+  const problems = [];
+  checkSchema(save, SAVE_SCHEMA, "", problems);
+  if (problems.length) return problems;
+  const ids = new Set();
+  save.teams.forEach((t, i) => {
+    if (ids.has(t.id)) problems.push(`teams[${i}].id: duplicate team id ${t.id}`);
+    ids.add(t.id);
+  });
+  const checkGames = (games, path) =>
+    games.forEach((g, i) => {
+      for (const side of ["homeId", "awayId"]) {
+        if (g[side] != null && !ids.has(g[side])) {
+          problems.push(`${path}[${i}].${side}: no team with id ${g[side]}`);
+        }
+      }
+    });
+  checkGames(save.games, "games");
+  for (const conf of Object.keys(save.confTournaments)) {
+    save.confTournaments[conf].forEach((games, r) =>
+      checkGames(games, `confTournaments.${conf}[${r}]`)
+    );
+  }
+  if (save.bracket) {
+    checkGames(save.bracket.firstFour, "bracket.firstFour");
+    save.bracket.rounds.forEach((games, r) => checkGames(games, `bracket.rounds[${r}]`));
+  }
+  return problems;
+}
+
+// MIGRATIONS[n] upgrades a version-n universe object to version n + 1.
+const MIGRATIONS = {
+  // v1: unversioned saves. Early ones predate rosters, the calendar, the
+  // 68-team bracket and saved RNG streams, so fill in whatever is missing.
+  1: (s) => {
+    const plain = (x) => JSON.parse(JSON.stringify(x));
+    const game = (g) => {
+      const out = Object.assign(plain(new Game(g.homeId, g.awayId, g.conf, g.week, g.neutral)), g);
+      if (out.day == null && out.conf !== "NCAA" && Number.isInteger(out.week) && out.week > 0) {
+        out.day = (out.week - 1) * 7;
+      }
+      if (!Number.isInteger(out.week)) out.week = out.day != null ? weekOfDay(out.day) : 0;
+      return out;
+    };
+    s.teams = (s.teams || []).map((t) => Object.assign(plain(new Team(t)), t));
+    for (const t of s.teams) if (!Array.isArray(t.roster)) t.roster = [];
+    s.games = (s.games || []).map(game);
+    if (s.day == null) {
+      const played = s.games.filter((g) => g.played && g.day != null);
+      s.day = played.length ? Math.max(...played.map((g) => g.day)) + 1 : 0;
+    }
+    delete s.week;
+    const tourneys = s.confTournaments || {};
+    s.confTournaments = {};
+    for (const conf of Object.keys(tourneys)) {
+      s.confTournaments[conf] = tourneys[conf].map((games) => games.map(game));
+    }
+    if (s.bracket) {
+      const b = s.bracket;
+      b.rounds = (b.rounds || []).map((games) => games.map(game));
+      b.firstFour = (b.firstFour || []).map(game);
+      if (!b.regions) b.regions = ["National"];
+      if (!b.regionSize) b.regionSize = b.rounds.length ? b.rounds[0].length * 2 : 0;
+      if (!b.seeds) {
+        // Single-bracket saves only kept seeds in each team's seed note.
+        b.seeds = {};
+        for (const t of s.teams) {
+          const m = /^Seed (\d+)$/.exec(t.seedNote || "");
+          if (m) b.seeds[t.id] = { seed: Number(m[1]), region: b.regions[0] };
+        }
+      }
+    } else {
+      s.bracket = null;
+    }
+    s.history = s.history || [];
+    if (!s.rngs) s.rngs = { seed: hashString(String(s.year)), year: s.year, state: {} };
+    if (!Number.isInteger(s.nextPlayerId)) {
+      const ids = s.teams.flatMap((t) => t.roster.map((p) => p.id));
+      s.nextPlayerId = ids.length ? Math.max(...ids) + 1 : 1;
+    }
+    return s;
+  },
+  // v2: conference tournament formats, and seeds kept apart from the bracket.
+  2: (s) => {
+    s.confFormats = s.confFormats || {};
+    s.confSeeds = s.confSeeds || {};
+    return s;
+  },
+  // v3: early-season events.
+  3: (s) => {
+    s.events = s.events || [];
+    return s;
+  },
+  // v4: NIT and CBI.
+  4: (s) => {
+    s.nit = s.nit || null;
+    s.cbi = s.cbi || null;
+    if (typeof s.cbiEnabled !== "boolean") s.cbiEnabled = true;
+    return s;
+  },
+  // v5: polls. Seasons in progress catch up on their next sim.
+  5: (s) => {
+    s.polls = s.polls || [];
+    s.pollBallots = s.pollBallots || [];
+    return s;
+  },
+  // v6: home regions and recruiting. The first class is drawn on the next sim.
+  6: (s) => {
+    for (const t of s.teams) if (!t.region) t.region = defaultRegion(t.school);
+    s.recruits = s.recruits || [];
+    s.recruitDay = s.recruitDay ?? 0;
+    return s;
+  },
+  // v7: the transfer portal.
+  7: (s) => {
+    s.portal = s.portal || null;
+    return s;
+  },
+  // v8: head coaches. Existing programs get average staffs, seeded so a save
+  // and its replay start hire the same names, and games replay exactly as
+  // they were played; the carousel brings in real differences.
+  8: (s) => {
+    if (!Array.isArray(s.coaches)) {
+      s.nextCoachId = 1;
+      generateCoaches(s, rng(hashString(`${s.rngs.seed}|coaches`)));
+      for (const c of s.coaches) {
+        for (const k of COACH_ATTRS) c[k] = 50;
+        c.tempo = COACH_TEMPO;
+      }
+    }
+    s.carousel = s.carousel || null;
+    return s;
+  },
+  // v9: GM mode. Older universes have no user program until one is claimed.
+  9: (s) => {
+    s.gm = s.gm || null;
+    return s;
+  },
+  // v10: finances. Every program opens with the same middling books so games
+  // and recruiting replay as they were; budgets spread out from the first
+  // closed season.
+  10: (s) => {
+    if (!s.finances) {
+      s.finances = {};
+      for (const t of s.teams) {
+        s.finances[t.id] = { cash: 0, facilities: 50, nil: 0, upgrade: 0, collective: 0, ledger: [] };
+      }
+    }
+    s.units = s.units || [];
+    return s;
+  },
+};
+
+function migrateUniverse(u, from) {
+  for (let v = from; v < SAVE_VERSION; v++) u = MIGRATIONS[v](u);
+  return u;
+}
+
+function serializeSave(u) {
+  return JSON.stringify(Object.assign({ version: SAVE_VERSION }, u));
+}
+
+// Parses (if given text), migrates, validates and revives a save. Throws with
+// a message naming every problem; the caller's universe is never touched.
+function loadSave(data) {
+  let save = data;
+  if (typeof data === "string") {
+    try {
+      save = JSON.parse(data);
+    } catch (err) {
+      throw new Error(`Save isn't valid JSON (${err.message}).`);
+    }
+  } else {
+    save = JSON.parse(JSON.stringify(data));
+  }
+  if (!SCALAR_CHECKS.obj(save)) throw new Error("Save isn't a universe object.");
+  const version = save.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Save has an unrecognized version: ${JSON.stringify(save.version)}.`);
+  }
+  if (version > SAVE_VERSION) {
+    throw new Error(
+      `Save is format v${version}, but this version of the game only reads up to v${SAVE_VERSION}. Update the game to load it.`
+    );
+  }
+  if (!Array.isArray(save.teams) || !Number.isInteger(save.year)) {
+    throw new Error("Save is missing its teams or year, so it can't be upgraded.");
+  }
+  save = migrateUniverse(save, version);
+  for (const replay of [save.replay, ...(save.timeline || [])]) {
+    if (replay && replay.start) replay.start = migrateUniverse(replay.start, version);
+  }
+  save.version = SAVE_VERSION;
+  const problems = validateSave(save);
+  if (problems.length) {
+    const shown = problems.slice(0, 12);
+    if (problems.length > shown.length) shown.push(`…and ${problems.length - shown.length} more`);
+    throw new Error(`Save doesn't match format v${SAVE_VERSION}:\n${shown.join("\n")}`);
+  }
+  delete save.version;
+  return revive(save);
+}
+
+// ---------- Node exports ----------
+// Browsers and the worker load this file as a plain script, where `module`
+// doesn't exist and everything above is already global.
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    rng,
+    hashString,
+    Team,
+    Player,
+    Game,
+    Universe,
+    teamStrength,
+    playGame,
+    seasonCalendar,
+    formatDay,
+    simToDay,
+    groupByConference,
+    teamById,
+    eloWinProb,
+    pregameWinProb,
+    simulateGame,
+    generateSchedule,
+    conferenceTiers,
+    simRegularSeason,
+    standingsForConf,
+    confTournamentPlan,
+    setConfFormat,
+    buildConfTournaments,
+    simConfRound,
+    simConfTournaments,
+    confTournamentsComplete,
+    secondaryTournamentsComplete,
+    buildNationalBracket,
+    bracketRounds,
+    roundLabel,
+    simBracket,
+    buildSecondaryTournaments,
+    simSecondaryTournaments,
+    eventChampion,
+    eventRoundLabel,
+    updateRatings,
+    adjEM,
+    teamSheets,
+    selectionBoard,
+    winnerId,
+    confChampions,
+    nationalChampion,
+    seasonGames,
+    seasonResults,
+    gameAt,
+    playLiveGame,
+    liveWinProb,
+    headToHead,
+    pollRanks,
+    pollOn,
+    HOME_REGIONS,
+    openScholarships,
+    recruitingPull,
+    recruitLeaders,
+    recruitingClasses,
+    PORTAL_REASONS,
+    portalOpen,
+    runTransferPortal,
+    coachById,
+    coachOf,
+    coachQuality,
+    gameStrength,
+    seatStatus,
+    coachRecord,
+    runCoachingCarousel,
+    NONCONF_SITES,
+    STYLE_RANGES,
+    styleOf,
+    seasonGoals,
+    NIL_MAX,
+    UPGRADE_MAX,
+    UNIT_YEARS,
+    financeOf,
+    homeCourt,
+    seasonBooks,
+    closeBooks,
+    setBudget,
+    seasonPhase,
+    advanceSeason,
+    MIN_CONF_TEAMS,
+    editTeam,
+    createConference,
+    renameConference,
+    mergeConferences,
+    dissolveConference,
+    runProjections,
+    parseCSV,
+    revive,
+    RngStreams,
+    act,
+    verifyReplay,
+    markSnapshot,
+    timelineSeasons,
+    rewind,
+    undoTarget,
+    SAVE_VERSION,
+    validateSave,
+    serializeSave,
+    loadSave,
+  };
+}
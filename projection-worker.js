@@ -0,0 +1,13 @@
+// Runs Monte Carlo season projections off the main thread so the page stays
+// responsive. Receives { save, iterations, seed } where `save` is a universe
+// serialized with JSON.stringify, and posts progress updates and the result.
+importScripts("engine.js");
+
+self.onmessage = (e) => {
+  const { save, iterations, seed } = e.data;
+  const u = revive(JSON.parse(save));
+  const result = runProjections(u, iterations, seed, (done, total) =>
+    self.postMessage({ type: "progress", done, total })
+  );
+  self.postMessage({ type: "result", result });
+};